@@ -24,6 +24,9 @@ let isAutoScrolling = false;
 // Feature detection
 const IS_HOME = !!document.getElementById('selected-work-title');
 
+// Self-hosted Lottie player, loaded on first use (see loadLottiePlayer)
+const LOTTIE_PLAYER_SRC = '/assets/vendor/lottie-web/lottie.min.js';
+
 // Global state container
 const STATE = {
   layout: {
@@ -31,14 +34,15 @@ const STATE = {
     resizeTimeout: null,
   },
   animations: {
-    thumbnailPositions: new Map(),
     thumbnails: [],
     bannerHeightLocked: false,
-    bannerPosition: null,
   },
   darkMode: {
     active: false,
     transitioning: false,
+    preference: 'system', // 'system' | 'light' | 'dark'
+    variant: 'default',
+    variantPreference: 'auto', // 'auto' follows prefers-contrast
   },
 };
 
@@ -65,12 +69,46 @@ function debounce(func, wait) {
 }
 
 /**
- * Smooth scroll utility
+ * Load the Lottie player once. Resolves with the `lottie` global, or rejects
+ * when the script can't be fetched (offline, blocked) so callers can fall back.
+ */
+let lottiePlayerPromise = null;
+
+function loadLottiePlayer() {
+  if (typeof lottie !== 'undefined') return Promise.resolve(lottie);
+  if (lottiePlayerPromise) return lottiePlayerPromise;
+
+  lottiePlayerPromise = new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = LOTTIE_PLAYER_SRC;
+    script.async = true;
+    script.onload = () => {
+      if (typeof lottie !== 'undefined') resolve(lottie);
+      else reject(new Error('Lottie player loaded without defining `lottie`.'));
+    };
+    script.onerror = () => {
+      lottiePlayerPromise = null; // allow a later retry
+      reject(new Error(`Could not load ${LOTTIE_PLAYER_SRC}.`));
+    };
+    document.head.appendChild(script);
+  });
+  return lottiePlayerPromise;
+}
+
+/**
+ * Space to leave above an in-page scroll target so it clears the sticky nav.
  */
-function smoothScrollTo(targetElement, duration = 400) {
+function getNavOffset(gap = 24) {
+  const nav = document.querySelector('.navMobile');
+  return (nav ? nav.offsetHeight : 0) + gap;
+}
+
+/**
+ * Smooth scroll utility. `navOffset` is the space left above the target.
+ */
+function smoothScrollTo(targetElement, duration = 400, navOffset = 160) {
   isAutoScrolling = true;
 
-  const navOffset = 160;
   const targetPosition = targetElement.getBoundingClientRect().top + window.scrollY - navOffset;
   const startPosition = window.scrollY;
   const distance = targetPosition - startPosition;
@@ -93,13 +131,19 @@ function smoothScrollTo(targetElement, duration = 400) {
     }
   }
 
-  requestAnimationFrame(animation);
+  // Reduced motion jumps straight there
+  if (MotionManager.isReduced()) {
+    duration = 0;
+    window.scrollTo(0, targetPosition);
+  } else {
+    requestAnimationFrame(animation);
+  }
 
   setTimeout(() => {
     isAutoScrolling = false;
     SectionAnimator.refresh();
     ProjectThumbnails.refreshThumbnails();
-    ProjectThumbnails.updateThumbnailsOnScroll();
+    ScrollEffects.update();
   }, duration + 50);
 }
 
@@ -107,55 +151,241 @@ function smoothScrollTo(targetElement, duration = 400) {
 // 3. THEME MANAGEMENT
 // =============================================================================
 
+/**
+ * Theme changes are broadcast as a `themechange` CustomEvent on `document`:
+ *
+ *   event.detail = {
+ *     theme:    'light' | 'dark',
+ *     previous: 'light' | 'dark' | null,   // null for the initial apply
+ *     source:   'initial' | 'user' | 'system' | 'storage' | 'variant',
+ *     variant:  'default' | 'ocean' | 'sunset' | 'violet' | 'high-contrast',
+ *   }
+ *
+ * Modules should use ThemeManager.subscribe(callback) rather than being called
+ * from here. A subscriber added after the initial apply is called straight away
+ * with the latest detail, so late-initialized modules still start in sync.
+ */
 const ThemeManager = (function () {
+  const STORAGE_KEY = 'darkMode';
+  const VARIANT_STORAGE_KEY = 'themeVariant';
+  const THEME_CHANGE_EVENT = 'themechange';
+  const REVEAL_DURATION_MS = 600;
+
+  // Stored values per preference. 'enabled' / 'disabled' predate the system
+  // option, so they are kept as-is to honour choices saved by older visits.
+  const STORED_VALUES = {
+    system: 'system',
+    light: 'disabled',
+    dark: 'enabled',
+  };
+
+  const ACTION_LABELS = {
+    system: 'Follow system theme',
+    light: 'Activate light mode',
+    dark: 'Activate dark mode',
+  };
+
+  // Exposed as html[data-theme-variant]; styles.css swaps the --accent-* tokens
+  const VARIANTS = {
+    default: { label: 'Mint', swatch: '#4ad4a7' },
+    ocean: { label: 'Ocean', swatch: '#4a9ed4' },
+    sunset: { label: 'Sunset', swatch: '#f08a5d' },
+    violet: { label: 'Violet', swatch: '#9a7bf0' },
+    'high-contrast': { label: 'High contrast', swatch: 'currentColor' },
+  };
+
+  // Inline SVG gradients can't read CSS custom properties from their stops'
+  // attributes, so their stop-color is rewritten from the tokens instead.
+  const ACCENT_GRADIENT_STOPS = '#darkModeGradient stop, #chatGradient stop';
+  const ACCENT_TOKENS = ['--accent', '--accent-2', '--accent-3', '--accent-4'];
+
   let darkModeIconElement = null;
+  let colorSchemeQuery = null;
+  let contrastQuery = null;
+  let lastDetail = null;
+  const listeners = new Map();
+
+  function readStoredPreference() {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved === STORED_VALUES.dark) return 'dark';
+    if (saved === STORED_VALUES.light) return 'light';
+    return 'system';
+  }
+
+  /**
+   * Explicit variant choice, or 'auto' to follow prefers-contrast.
+   */
+  function readStoredVariant() {
+    const saved = localStorage.getItem(VARIANT_STORAGE_KEY);
+    return Object.prototype.hasOwnProperty.call(VARIANTS, saved) ? saved : 'auto';
+  }
+
+  function resolveVariant(variantPreference) {
+    if (variantPreference !== 'auto') return variantPreference;
+    return contrastQuery.matches ? 'high-contrast' : 'default';
+  }
+
+  function resolveIsDark(preference) {
+    if (preference === 'dark') return true;
+    if (preference === 'light') return false;
+    return colorSchemeQuery.matches;
+  }
+
+  /**
+   * Cycle order: the first click always flips the visible theme, the second
+   * flips it back explicitly, the third returns to following the OS.
+   */
+  function getNextPreference(preference) {
+    const order = colorSchemeQuery.matches
+      ? ['system', 'light', 'dark']
+      : ['system', 'dark', 'light'];
+    return order[(order.indexOf(preference) + 1) % order.length];
+  }
 
   function applyInitialThemeAndIcon() {
+    colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+    colorSchemeQuery.addEventListener('change', handleSystemSchemeChange);
+    contrastQuery = window.matchMedia('(prefers-contrast: more)');
+    contrastQuery.addEventListener('change', handleContrastChange);
+    window.addEventListener('storage', handleStorageChange);
+
+    STATE.darkMode.preference = readStoredPreference();
+    STATE.darkMode.variantPreference = readStoredVariant();
+    applyVariant(resolveVariant(STATE.darkMode.variantPreference));
+    applyTheme(resolveIsDark(STATE.darkMode.preference));
+    emitThemeChange(null, 'initial');
+    renderVariantPicker();
+
     darkModeIconElement = document.querySelector('.darkMode-icon');
     if (!darkModeIconElement) {
       console.warn('Dark mode icon not found for initial setup.');
       return;
     }
+    updateIconState();
+  }
 
-    const savedDarkMode = localStorage.getItem('darkMode');
-    const prefersDarkMode = window.matchMedia('(prefers-color-scheme: dark)').matches;
+  function applyTheme(isDark) {
+    document.body.classList.toggle('dark-mode', isDark);
+    document.documentElement.classList.toggle('dark-mode', isDark);
+    STATE.darkMode.active = isDark;
 
-    if (savedDarkMode === 'enabled' || (savedDarkMode === null && prefersDarkMode)) {
-      document.body.classList.add('dark-mode');
-      document.documentElement.classList.add('dark-mode');
-      STATE.darkMode.active = true;
-    } else {
-      document.body.classList.remove('dark-mode');
-      document.documentElement.classList.remove('dark-mode');
-      STATE.darkMode.active = false;
+    // High-contrast tokens differ per theme
+    syncAccentGradients();
+  }
+
+  function applyVariant(variant) {
+    STATE.darkMode.variant = variant;
+    document.documentElement.setAttribute('data-theme-variant', variant);
+    syncAccentGradients();
+    updateVariantPicker();
+  }
+
+  function syncAccentGradients() {
+    const rootStyles = getComputedStyle(document.documentElement);
+    const colors = ACCENT_TOKENS.map((token) => rootStyles.getPropertyValue(token).trim());
+
+    document.querySelectorAll(ACCENT_GRADIENT_STOPS).forEach((stop) => {
+      const index = Array.prototype.indexOf.call(stop.parentNode.children, stop);
+      const color = colors[Math.min(index, colors.length - 1)];
+      if (color) stop.setAttribute('stop-color', color);
+    });
+  }
+
+  /**
+   * Switch accent variant. Pass 'auto' to follow prefers-contrast again.
+   */
+  function setVariant(variantPreference) {
+    if (variantPreference !== 'auto' && !VARIANTS[variantPreference]) {
+      console.warn(`Unknown theme variant "${variantPreference}".`);
+      return;
     }
 
-    // Initial banner swap only on home
-    const bannerImg = document.querySelector('.bannerImage');
-    if (bannerImg && IS_HOME) {
-      bannerImg.src = STATE.darkMode.active
-        ? 'assets/images/darkmodeBanner_dsg.jpg'
-        : 'assets/images/lightmodeBanner.jpg';
+    STATE.darkMode.variantPreference = variantPreference;
+    if (variantPreference === 'auto') localStorage.removeItem(VARIANT_STORAGE_KEY);
+    else localStorage.setItem(VARIANT_STORAGE_KEY, variantPreference);
+
+    changeVariant(resolveVariant(variantPreference), 'variant');
+  }
+
+  function changeVariant(variant, source) {
+    if (variant === STATE.darkMode.variant) {
+      updateVariantPicker();
+      return;
     }
+    const current = STATE.darkMode.active ? 'dark' : 'light';
+    applyVariant(variant);
+    emitThemeChange(current, source);
+  }
 
-    const themeAwareLogos = document.querySelectorAll('.theme-aware-logo');
-    themeAwareLogos.forEach(logo => {
-      const darkSrc = logo.getAttribute('data-dark-src');
-      const lightSrc = logo.getAttribute('data-light-src');
+  function renderVariantPicker() {
+    const picker = document.querySelector('[data-theme-variant-picker]');
+    if (!picker) return;
+
+    picker.setAttribute('role', 'group');
+    picker.setAttribute('aria-label', 'Accent colour');
+    picker.innerHTML = '';
+
+    const options = [['auto', { label: 'Auto', swatch: 'transparent' }], ...Object.entries(VARIANTS)];
+    options.forEach(([name, { label, swatch }]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'theme-variant-option';
+      button.setAttribute('data-variant', name);
+      button.innerHTML = `<span class="theme-variant-swatch" aria-hidden="true"></span>${label}`;
+      button.querySelector('.theme-variant-swatch').style.setProperty('--swatch', swatch);
+      button.addEventListener('click', () => setVariant(name));
+      picker.appendChild(button);
+    });
 
-      if (darkSrc && lightSrc) {
-        logo.src = STATE.darkMode.active ? darkSrc : lightSrc;
-      }
+    updateVariantPicker();
+  }
+
+  function updateVariantPicker() {
+    document.querySelectorAll('.theme-variant-option').forEach((button) => {
+      const isCurrent = button.getAttribute('data-variant') === STATE.darkMode.variantPreference;
+      button.setAttribute('aria-pressed', String(isCurrent));
     });
+  }
 
-    // Icon state
-    if (STATE.darkMode.active) {
-      darkModeIconElement.classList.add('is-moon');
-      darkModeIconElement.setAttribute('aria-label', 'Activate light mode');
-    } else {
-      darkModeIconElement.classList.remove('is-moon');
-      darkModeIconElement.setAttribute('aria-label', 'Activate dark mode');
-    }
+  function emitThemeChange(previous, source) {
+    lastDetail = {
+      theme: STATE.darkMode.active ? 'dark' : 'light',
+      previous,
+      source,
+      variant: STATE.darkMode.variant,
+    };
+    document.dispatchEvent(new CustomEvent(THEME_CHANGE_EVENT, { detail: lastDetail }));
+  }
+
+  /**
+   * Register a callback for theme changes. Returns an unsubscribe function.
+   */
+  function subscribe(callback) {
+    if (listeners.has(callback)) return () => unsubscribe(callback);
+
+    const listener = (event) => callback(event.detail);
+    listeners.set(callback, listener);
+    document.addEventListener(THEME_CHANGE_EVENT, listener);
+
+    if (lastDetail) callback(lastDetail);
+    return () => unsubscribe(callback);
+  }
+
+  function unsubscribe(callback) {
+    const listener = listeners.get(callback);
+    if (!listener) return;
+    document.removeEventListener(THEME_CHANGE_EVENT, listener);
+    listeners.delete(callback);
+  }
+
+  function updateIconState() {
+    if (!darkModeIconElement) return;
+    const preference = STATE.darkMode.preference;
+
+    darkModeIconElement.classList.toggle('is-moon', STATE.darkMode.active);
+    darkModeIconElement.classList.toggle('is-system', preference === 'system');
+    darkModeIconElement.setAttribute('data-theme-preference', preference);
+    darkModeIconElement.setAttribute('aria-label', ACTION_LABELS[getNextPreference(preference)]);
   }
 
   function setupEventListeners() {
@@ -179,54 +409,78 @@ const ThemeManager = (function () {
     }
   }
 
+  /**
+   * Another tab or page changed the stored preference. Swap in place without
+   * the transition flash; this tab is usually in the background anyway.
+   */
+  function handleStorageChange(event) {
+    // key is null when storage was cleared entirely
+    if (event.key === null || event.key === VARIANT_STORAGE_KEY) {
+      STATE.darkMode.variantPreference = readStoredVariant();
+      changeVariant(resolveVariant(STATE.darkMode.variantPreference), 'storage');
+    }
+    if (event.key !== null && event.key !== STORAGE_KEY) return;
+
+    STATE.darkMode.preference = readStoredPreference();
+    const isDark = resolveIsDark(STATE.darkMode.preference);
+
+    if (isDark === STATE.darkMode.active) {
+      updateIconState();
+      return;
+    }
+    swapTheme(isDark, 'storage');
+  }
+
+  function handleContrastChange() {
+    if (STATE.darkMode.variantPreference !== 'auto') return;
+    changeVariant(resolveVariant('auto'), 'system');
+  }
+
+  function handleSystemSchemeChange() {
+    if (STATE.darkMode.preference !== 'system') return;
+    transitionTo(resolveIsDark('system'), 'system');
+  }
+
   function toggleThemeAndIconState() {
     if (STATE.darkMode.transitioning) return;
-    STATE.darkMode.transitioning = true;
 
-    const isCurrentlyDark = document.body.classList.contains('dark-mode');
+    const preference = getNextPreference(STATE.darkMode.preference);
+    STATE.darkMode.preference = preference;
+    localStorage.setItem(STORAGE_KEY, STORED_VALUES[preference]);
 
-    if (isCurrentlyDark) {
-      document.body.classList.add('light-mode-transition');
-      document.body.classList.remove('dark-mode');
-      document.documentElement.classList.remove('dark-mode');
-      localStorage.setItem('darkMode', 'disabled');
-      STATE.darkMode.active = false;
-    } else {
-      document.body.classList.add('dark-mode-transition');
-      document.body.classList.add('dark-mode');
-      document.documentElement.classList.add('dark-mode');
-      localStorage.setItem('darkMode', 'enabled');
-      STATE.darkMode.active = true;
-    }
+    transitionTo(resolveIsDark(preference), 'user');
+  }
 
-    // Swap banner only on home
-    const bannerImg = document.querySelector('.bannerImage');
-    if (bannerImg && IS_HOME) {
-      bannerImg.src = STATE.darkMode.active
-        ? 'assets/images/darkmodeBanner_dsg.jpg'
-        : 'assets/images/lightmodeBanner.jpg';
+  /**
+   * Full swap path: page classes and icon state here, everything else
+   * (assets, Lottie, ...) through `themechange` subscribers.
+   */
+  function swapTheme(isDark, source) {
+    const previous = STATE.darkMode.active ? 'dark' : 'light';
+    applyTheme(isDark);
+    updateIconState();
+    emitThemeChange(previous, source);
+  }
+
+  function transitionTo(isDark, source) {
+    if (isDark === STATE.darkMode.active) {
+      updateIconState();
+      return;
     }
 
-    // Swap theme-aware logos
-    const themeAwareLogos = document.querySelectorAll('.theme-aware-logo');
-    themeAwareLogos.forEach(logo => {
-      const darkSrc = logo.getAttribute('data-dark-src');
-      const lightSrc = logo.getAttribute('data-light-src');
+    STATE.darkMode.transitioning = true;
 
-      if (darkSrc && lightSrc) {
-        logo.src = STATE.darkMode.active ? darkSrc : lightSrc;
-      }
-    });
+    const canReveal = typeof document.startViewTransition === 'function' &&
+      !MotionManager.isReduced();
 
-    if (STATE.darkMode.active) {
-      darkModeIconElement.classList.add('is-moon');
-      darkModeIconElement.setAttribute('aria-label', 'Activate light mode');
-    } else {
-      darkModeIconElement.classList.remove('is-moon');
-      darkModeIconElement.setAttribute('aria-label', 'Activate dark mode');
+    if (canReveal) {
+      circularRevealTo(isDark, source);
+      return;
     }
 
-    LottieLogoManager.onThemeChange();
+    document.body.classList.add(isDark ? 'dark-mode-transition' : 'light-mode-transition');
+
+    swapTheme(isDark, source);
 
     setTimeout(() => {
       document.body.classList.remove('light-mode-transition');
@@ -235,1177 +489,3788 @@ const ThemeManager = (function () {
     }, 300);
   }
 
+  /**
+   * View Transitions path: snapshot the page, swap the theme, then grow the new
+   * snapshot as a circle from the toggle icon.
+   */
+  function circularRevealTo(isDark, source) {
+    const { x, y } = getRevealOrigin();
+    const radius = Math.hypot(
+      Math.max(x, window.innerWidth - x),
+      Math.max(y, window.innerHeight - y)
+    );
+
+    // Colour transitions would otherwise replay inside the live new snapshot
+    document.documentElement.classList.add('theme-view-transition');
+
+    const transition = document.startViewTransition(() => swapTheme(isDark, source));
+
+    transition.ready
+      .then(() => {
+        document.documentElement.animate(
+          {
+            clipPath: [
+              `circle(0px at ${x}px ${y}px)`,
+              `circle(${radius}px at ${x}px ${y}px)`,
+            ],
+          },
+          {
+            duration: REVEAL_DURATION_MS,
+            easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+            pseudoElement: '::view-transition-new(root)',
+          }
+        );
+      })
+      .catch(() => { });
+
+    transition.finished
+      .catch(() => { })
+      .then(() => {
+        document.documentElement.classList.remove('theme-view-transition');
+        STATE.darkMode.transitioning = false;
+      });
+  }
+
+  function getRevealOrigin() {
+    if (!darkModeIconElement) {
+      return { x: window.innerWidth, y: 0 };
+    }
+    const rect = darkModeIconElement.getBoundingClientRect();
+    return {
+      x: rect.left + rect.width / 2,
+      y: rect.top + rect.height / 2,
+    };
+  }
+
   return {
     applyInitialThemeAndIcon,
-    setupEventListeners
+    setupEventListeners,
+    setVariant,
+    subscribe,
+    unsubscribe
   };
 })();
 
-// =============================================================================
-// 4. ANIMATION MODULES
-// =============================================================================
-
 // -----------------------------------------------------------------------------
-// 4.1 Text Animations  (UPDATED: dispatch 'headerIntroDone' when finished)
+// 3.1 Theme-Aware Assets
 // -----------------------------------------------------------------------------
-const TextAnimator = (function () {
-  function initialize(mobileSeparatorDelay = 1300) {
-    animateIntroText(mobileSeparatorDelay);
+/**
+ * Swaps any element that declares both variants:
+ *
+ *   <img data-theme-src-dark="a.jpg" data-theme-src-light="b.jpg">       -> src
+ *   <source data-theme-src-dark="a.webp" data-theme-src-light="b.webp">  -> srcset
+ *   <div data-lottie data-theme-src-dark="a.json" ...>                   -> Lottie path
+ *   <div data-theme-src-dark="a.jpg" ...>                                -> background-image
+ *
+ * Lottie containers also read data-lottie-renderer, data-lottie-loop and
+ * data-lottie-autoplay. The older `.theme-aware-logo[data-dark-src][data-light-src]`
+ * form is still honoured. Variants should share dimensions; images are
+ * decoded before the swap so the old frame stays up until the new one is ready.
+ */
+const ThemeAssetManager = (function () {
+  const SELECTOR = [
+    '[data-theme-src-dark][data-theme-src-light]',
+    '.theme-aware-logo[data-dark-src][data-light-src]',
+  ].join(', ');
+
+  const lottieAnimations = new WeakMap();
+  const preloaded = new Set();
+  const requestIdle = window.requestIdleCallback || ((callback) => setTimeout(callback, 200));
+
+  function getSource(el, isDark) {
+    if (el.hasAttribute('data-theme-src-dark')) {
+      return el.getAttribute(isDark ? 'data-theme-src-dark' : 'data-theme-src-light');
+    }
+    return el.getAttribute(isDark ? 'data-dark-src' : 'data-light-src');
   }
 
-  function animateIntroText(mobileSeparatorDelay = 1300) {
-    const introText = document.querySelector('.introText');
+  function getKind(el) {
+    if (el.tagName === 'IMG') return 'img';
+    if (el.tagName === 'SOURCE') return 'source';
+    if (el.hasAttribute('data-lottie')) return 'lottie';
+    return 'background';
+  }
 
-    // If there is no header intro on this page, resolve immediately
-    if (!introText) {
-      document.dispatchEvent(new CustomEvent('headerIntroDone'));
+  function initialize() {
+    ThemeManager.subscribe(({ theme }) => apply(theme === 'dark'));
+  }
+
+  function apply(isDark) {
+    const elements = document.querySelectorAll(SELECTOR);
+    elements.forEach((el) => {
+      const src = getSource(el, isDark);
+      if (!src) return;
+
+      switch (getKind(el)) {
+        case 'img':
+          swapImage(el, src);
+          break;
+        case 'source':
+          if (el.getAttribute('srcset') !== src) el.setAttribute('srcset', src);
+          break;
+        case 'lottie':
+          swapLottie(el, src);
+          break;
+        default:
+          swapBackground(el, src);
+      }
+    });
+
+    if (elements.length) requestIdle(() => preloadVariants(elements, !isDark));
+  }
+
+  function swapImage(img, src) {
+    if (img.getAttribute('src') === src) return;
+
+    // Nothing on screen yet (initial apply, lazy image): swap straight away
+    if (!img.complete || !img.naturalWidth) {
+      img.src = src;
       return;
     }
 
-    const allAnims = []; // collect Animation objects
+    const loader = new Image();
+    loader.src = src;
+    loader.decode()
+      .catch(() => { })
+      .then(() => {
+        // A later toggle may have asked for the other variant meanwhile
+        if (getSource(img, STATE.darkMode.active) === src) img.src = src;
+      });
+  }
 
-    // Check if this is a project page - handle differently
-    if (document.body.classList.contains('project-page')) {
-      console.log('Animating project page header');
+  function swapBackground(el, src) {
+    const value = `url("${src}")`;
+    if (el.style.backgroundImage === value) return;
 
-      // Remove hidden-init from all spans inside introText
-      const spans = introText.querySelectorAll('span');
-      spans.forEach(span => {
-        span.classList.remove('hidden-init');
+    const loader = new Image();
+    loader.src = src;
+    loader.decode()
+      .catch(() => { })
+      .then(() => {
+        if (getSource(el, STATE.darkMode.active) === src) el.style.backgroundImage = value;
       });
+  }
 
-      // Now animate the container
-      introText.style.opacity = '0';
-      introText.style.transform = 'translateY(40px)';
-
-      const headerAnim = introText.animate(
-        [
-          { opacity: 0, transform: 'translateY(40px)' },
-          { opacity: 1, transform: 'translateY(0)' }
-        ],
-        {
-          duration: 800,
-          delay: 0,
-          fill: 'forwards',
-          easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
-        }
-      );
+  function swapLottie(container, path) {
+    loadLottiePlayer()
+      .then((player) => {
+        const current = lottieAnimations.get(container);
+        if (current && current.path === path) return;
+        if (getSource(container, STATE.darkMode.active) !== path) return; // theme changed meanwhile
+        if (current) current.animation.destroy();
+
+        const animation = player.loadAnimation({
+          container,
+          renderer: container.getAttribute('data-lottie-renderer') || 'svg',
+          loop: container.hasAttribute('data-lottie-loop'),
+          autoplay: container.hasAttribute('data-lottie-autoplay'),
+          path,
+        });
+        lottieAnimations.set(container, { path, animation });
+      })
+      .catch((error) => console.warn('[ThemeAssetManager] Lottie unavailable:', error));
+  }
 
-      headerAnim.onfinish = () => {
-        introText.style.opacity = '1';
-        introText.style.transform = 'translateY(0)';
-        console.log('Header animation finished');
-      };
+  function preloadVariants(elements, isDark) {
+    elements.forEach((el) => {
+      const src = getSource(el, isDark);
+      if (!src || preloaded.has(src)) return;
+      preloaded.add(src);
+
+      const kind = getKind(el);
+      if (kind === 'lottie') {
+        fetch(src).catch(() => preloaded.delete(src));
+      } else if (kind === 'source') {
+        const loader = new Image();
+        if (el.sizes) loader.sizes = el.sizes;
+        loader.srcset = src;
+      } else {
+        new Image().src = src;
+      }
+    });
+  }
 
-      allAnims.push(headerAnim);
+  return { initialize, apply };
+})();
 
-      // Then animate sub-header text AFTER main header
-      const subHeader = document.querySelector('.sub-header-text');
-      if (subHeader) {
-        subHeader.style.opacity = '0';
-        subHeader.style.transform = 'translateY(20px)';
+// -----------------------------------------------------------------------------
+// 3.2 Motion Preference
+// -----------------------------------------------------------------------------
+/**
+ * Single source of truth for reduced motion: the OS setting unless the visitor
+ * has overridden it with a `[data-motion-toggle]` button. Reduced motion sets
+ * `html.reduced-motion` and is broadcast as a `motionchange` event:
+ *
+ *   event.detail = { reduced: boolean, preference: 'system' | 'reduce' | 'full' }
+ *
+ * Modules check MotionManager.isReduced() before animating, or create WAAPI
+ * animations through MotionManager.animate(), which turns movement into an
+ * opacity-only fade (or an instant jump when nothing fades).
+ */
+const MotionManager = (function () {
+  const STORAGE_KEY = 'reducedMotion';
+  const MOTION_CHANGE_EVENT = 'motionchange';
+  const REDUCED_FADE_MS = 200;
+  const PREFERENCES = ['system', 'reduce', 'full'];
+
+  const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+  let preference = readStoredPreference();
+  let reduced = resolveIsReduced();
+  let initialized = false;
+
+  function readStoredPreference() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return PREFERENCES.includes(saved) ? saved : 'system';
+    } catch (e) {
+      return 'system';
+    }
+  }
 
-        const subAnim = subHeader.animate(
-          [
-            { opacity: 0, transform: 'translateY(20px)' },
-            { opacity: 0.8, transform: 'translateY(0)' },
-          ],
-          {
-            duration: 600,
-            delay: 400,
-            fill: 'forwards',
-            easing: 'cubic-bezier(0.25, 1, 0.5, 1)',
-          }
-        );
+  function resolveIsReduced() {
+    if (preference === 'reduce') return true;
+    if (preference === 'full') return false;
+    return query.matches;
+  }
 
-        subAnim.onfinish = () => {
-          subHeader.style.cssText = 'opacity: 0.8 !important; transform: translateY(0) !important;';
-          console.log('Subheader animation finished');
-        };
+  function initialize() {
+    if (initialized) return;
+    initialized = true;
+
+    query.addEventListener('change', () => refresh());
+    window.addEventListener('storage', (e) => {
+      if (e.key !== STORAGE_KEY && e.key !== null) return;
+      preference = readStoredPreference();
+      refresh();
+    });
 
-        allAnims.push(subAnim);
-      }
+    document.querySelectorAll('[data-motion-toggle]').forEach((button) => {
+      button.addEventListener('click', toggle);
+    });
 
-      // When everything finishes, announce completion
-      Promise.all(
-        allAnims.map((a) => (a && a.finished ? a.finished.catch(() => { }) : Promise.resolve()))
-      ).then(() => {
-        document.dispatchEvent(new CustomEvent('headerIntroDone'));
-      });
+    apply();
+    updateToggles();
+  }
 
-      return; // Exit early for project pages
-    }
+  function isReduced() {
+    return reduced;
+  }
 
-    // Below is the original home page animation logic (keep as is)
-    const spans = Array.from(introText.querySelectorAll('span'));
-    if (spans.length === 0) {
-      document.dispatchEvent(new CustomEvent('headerIntroDone'));
+  /**
+   * 'system' follows the OS; 'reduce' / 'full' override it and persist.
+   */
+  function setPreference(next) {
+    if (!PREFERENCES.includes(next)) {
+      console.warn(`[MotionManager] Unknown preference "${next}".`);
       return;
     }
+    preference = next;
+    try {
+      localStorage.setItem(STORAGE_KEY, next);
+    } catch (e) { }
+    refresh();
+  }
 
-    // Rest of your home page animation code...
-    spans.forEach((span) => {
-      span.style.display = 'inline-block';
-      span.classList.add('hidden-init');
-    });
+  // Flip the current state; landing back on the OS setting follows it again
+  function toggle() {
+    const wantsReduced = !reduced;
+    setPreference(wantsReduced === query.matches ? 'system' : (wantsReduced ? 'reduce' : 'full'));
+  }
 
-    introText.offsetHeight;
+  function refresh() {
+    const next = resolveIsReduced();
+    updateToggles();
+    if (next === reduced) return;
+    reduced = next;
+    apply();
+    document.dispatchEvent(new CustomEvent(MOTION_CHANGE_EVENT, {
+      detail: { reduced, preference }
+    }));
+  }
 
-    const rows = [];
-    let currentTop = -Infinity;
-    let currentRow = null;
+  function apply() {
+    document.documentElement.classList.toggle('reduced-motion', reduced);
+  }
 
-    spans.forEach((span) => {
-      const top = span.offsetTop;
-      if (Math.abs(top - currentTop) > 5) {
-        currentTop = top;
-        currentRow = { top, spans: [] };
-        rows.push(currentRow);
-      }
-      currentRow && currentRow.spans.push(span);
+  function updateToggles() {
+    document.querySelectorAll('[data-motion-toggle]').forEach((button) => {
+      button.setAttribute('aria-pressed', String(reduced));
+      button.dataset.motionPreference = preference;
     });
+  }
 
-    rows.sort((a, b) => a.top - b.top);
+  /**
+   * Calls back now with the current detail and again on every change.
+   * Returns an unsubscribe function.
+   */
+  function subscribe(callback) {
+    const handler = (e) => callback(e.detail);
+    document.addEventListener(MOTION_CHANGE_EVENT, handler);
+    callback({ reduced, preference });
+    return () => document.removeEventListener(MOTION_CHANGE_EVENT, handler);
+  }
 
-    const movementDuration = 1200;
-    const opacityDuration = 600;
-    const rowStagger = 80;
-    const intraStagger = 120;
+  /**
+   * element.animate() that honours the preference. When reduced, every
+   * non-opacity property is pinned to its final value and the fade is short
+   * and undelayed, so elements appear in place rather than travelling there.
+   */
+  function animate(element, keyframes, options = {}) {
+    if (!reduced || !Array.isArray(keyframes) || keyframes.length === 0) {
+      return element.animate(keyframes, options);
+    }
 
-    rows.forEach((row, rowIndex) => {
-      row.spans.forEach((span, spanIndex) => {
-        const delay = rowIndex * rowStagger + (rowIndex === 1 ? spanIndex * intraStagger : 0);
+    const last = keyframes[keyframes.length - 1];
+    const fades = keyframes.some((frame) => 'opacity' in frame);
+    const pinned = keyframes.map((frame) => {
+      const next = { ...last };
+      if ('offset' in frame) next.offset = frame.offset;
+      if ('opacity' in frame) next.opacity = frame.opacity;
+      return next;
+    });
 
-        const aFade = span.animate(
-          [{ opacity: 0 }, { opacity: 1 }],
-          {
-            duration: opacityDuration,
-            delay,
-            fill: 'forwards',
-            easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
-          }
-        );
-        allAnims.push(aFade);
+    return element.animate(pinned, {
+      ...options,
+      delay: 0,
+      duration: fades ? Math.min(options.duration || 0, REDUCED_FADE_MS) : 0,
+    });
+  }
 
-        const aMove = span.animate(
-          [{ transform: 'translateY(80px)' }, { transform: 'translateY(0)' }],
-          {
-            duration: movementDuration,
-            delay,
-            fill: 'forwards',
-            easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
-          }
-        );
-        allAnims.push(aMove);
+  return {
+    initialize,
+    isReduced,
+    setPreference,
+    toggle,
+    subscribe,
+    animate
+  };
+})();
+
+// =============================================================================
+// 4. ANIMATION MODULES
+// =============================================================================
+
+// -----------------------------------------------------------------------------
+// 4.0 Timeline (intro sequencing)
+// -----------------------------------------------------------------------------
+/**
+ * Small sequencer for intro choreography. Each step starts at an absolute
+ * offset or relative to another step, and returns what it animated so the
+ * timeline can await it, change its speed or jump it to the end:
+ *
+ *   const intro = Timeline.create();
+ *   intro
+ *     .step('header', { at: 0 }, () => TextAnimator.initialize())
+ *     .step('avatar', { start: 'header', offset: 1100 }, () => revealAvatar())
+ *     .step('grid', { after: 'avatar', offset: 200 }, () => unlockGrid(), finalGridState);
+ *   intro.play().then(() => ...);
+ *
+ * Timing is `{ at }`, `{ start: name, offset }` (from that step's start) or
+ * `{ after: name, offset }` (from that step's end). A step may return an
+ * Animation, an Element (its running CSS transitions are tracked), a Promise,
+ * or an array of these. The optional `final` callback replaces `run` when the
+ * timeline is skipped before the step has started.
+ *
+ * Timeline.skip() and Timeline.setSpeed() apply to every playing timeline.
+ */
+const Timeline = (function () {
+  const playing = new Set();
+  let globalSpeed = 1;
+
+  function deferred() {
+    let resolve;
+    const promise = new Promise((res) => { resolve = res; });
+    return { promise, resolve };
+  }
+
+  function hasEnd(animation) {
+    const timing = animation.effect && animation.effect.getComputedTiming();
+    return !timing || timing.endTime !== Infinity;
+  }
+
+  function create() {
+    const steps = new Map();
+    const completion = deferred();
+    let speed = globalSpeed;
+    let clockOrigin = 0; // performance.now() at the last (re)start of the clock
+    let clockOffset = 0; // timeline ms elapsed before clockOrigin
+    let started = false;
+    let skipped = false;
+
+    function now() {
+      if (!started) return clockOffset;
+      return clockOffset + (performance.now() - clockOrigin) * speed;
+    }
+
+    function step(name, timing, run, final) {
+      if (steps.has(name)) throw new Error(`[Timeline] Duplicate step "${name}".`);
+      steps.set(name, {
+        name,
+        timing: timing || { at: 0 },
+        run,
+        final,
+        state: 'idle', // idle -> scheduled -> running -> done
+        dueAt: 0,
+        timer: null,
+        animations: [],
+        promises: [],
+        started: deferred(),
+        done: deferred(),
       });
-    });
+      return api;
+    }
 
-    const mobileSeparator = document.querySelector('.mobile-only-separator');
-    if (mobileSeparator) {
-      mobileSeparator.style.opacity = '0';
-      mobileSeparator.style.transform = 'translateY(20px)';
-      const sepAnim = mobileSeparator.animate(
-        [
-          { opacity: 0, transform: 'translateY(20px)' },
-          { opacity: 1, transform: 'translateY(0)' }
-        ],
-        {
-          duration: 600,
-          delay: mobileSeparatorDelay,
-          fill: 'forwards',
-          easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+    function play() {
+      if (started) return completion.promise;
+      started = true;
+      clockOrigin = performance.now();
+      playing.add(api);
+
+      steps.forEach((s) => {
+        const { at = 0, start, after, offset = 0 } = s.timing;
+        const refName = start || after;
+        if (!refName) {
+          schedule(s, at);
+          return;
         }
-      );
-      allAnims.push(sepAnim);
-    }
 
-    const subHeader = document.querySelector('.sub-header-text');
-    if (subHeader) {
-      const aSub = subHeader.animate(
-        [
-          { opacity: 0, transform: 'translateY(20px)' },
-          { opacity: 0.8, transform: 'translateY(0)' },
-        ],
-        {
-          duration: 800,
-          delay: 300,
-          fill: 'forwards',
-          easing: 'cubic-bezier(0.25, 1, 0.5, 1)',
+        const ref = steps.get(refName);
+        if (!ref) {
+          console.error(`[Timeline] Step "${s.name}" depends on unknown step "${refName}".`);
+          schedule(s, offset);
+          return;
         }
-      );
-      allAnims.push(aSub);
-    }
+        (start ? ref.started : ref.done).promise.then((t) => schedule(s, t + offset));
+      });
 
-    Promise.all(
-      allAnims.map((a) => (a && a.finished ? a.finished.catch(() => { }) : Promise.resolve()))
-    ).then(() => {
-      document.dispatchEvent(new CustomEvent('headerIntroDone'));
-    });
-  }
+      Promise.all(Array.from(steps.values(), (s) => s.done.promise)).then(() => {
+        playing.delete(api);
+        completion.resolve();
+      });
 
-  return { initialize };
-})();
+      return completion.promise;
+    }
 
-// -----------------------------------------------------------------------------
-// 4.2 Banner Management
-// -----------------------------------------------------------------------------
-const BannerManager = (function () {
-  function initialize(options = {}) {
-    const bannerImg = document.querySelector('.bannerImage');
-    if (bannerImg) {
-      if (options.delayed) {
-        // Keep it hidden, will be revealed later
-      } else {
-        requestAnimationFrame(() => bannerImg.classList.remove('start-hidden'));
-      }
+    function schedule(s, dueAt) {
+      if (s.state !== 'idle') return;
+      s.state = 'scheduled';
+      s.dueAt = dueAt;
+      if (skipped) runStep(s);
+      else arm(s);
     }
 
-    storeBannerPosition();
+    function arm(s) {
+      clearTimeout(s.timer);
+      const delay = Math.max(0, (s.dueAt - now()) / speed);
+      s.timer = setTimeout(() => runStep(s), delay);
+    }
 
-    window.addEventListener('resize', () => {
-      STATE.animations.bannerPosition = null;
-    });
+    function runStep(s) {
+      if (s.state !== 'scheduled') return;
+      clearTimeout(s.timer);
+      s.state = 'running';
+      s.started.resolve(now());
 
-    // Fade/scale scroll only on home
-    if (IS_HOME) {
-      window.addEventListener('scroll', () => {
-        requestAnimationFrame(updateBannerOnScroll);
+      let result;
+      try {
+        result = skipped && s.final ? s.final() : s.run();
+      } catch (e) {
+        console.error(`[Timeline] Step "${s.name}" failed:`, e);
+      }
+      track(s, result);
+      if (skipped) finishAnimations(s);
+
+      Promise.all([
+        ...s.animations.map((a) => a.finished.catch(() => { })),
+        ...s.promises.map((p) => Promise.resolve(p).catch(() => { })),
+      ]).then(() => {
+        s.state = 'done';
+        s.done.resolve(now());
       });
     }
-  }
 
-  function storeBannerPosition() {
-    const banner = document.querySelector('.component-banner');
-    if (!banner) return;
-    const rect = banner.getBoundingClientRect();
-    STATE.animations.bannerPosition = {
-      top: rect.top + window.scrollY,
-      height: rect.height,
-    };
-  }
+    function track(s, result) {
+      if (!result) return;
+      if (Array.isArray(result)) {
+        result.forEach((item) => track(s, item));
+      } else if (typeof Animation !== 'undefined' && result instanceof Animation) {
+        result.playbackRate = speed;
+        s.animations.push(result);
+      } else if (result instanceof Element) {
+        // Reading animations flushes style, so just-set transitions are included
+        const animations = typeof result.getAnimations === 'function' ? result.getAnimations() : [];
+        animations.filter(hasEnd).forEach((a) => track(s, a));
+      } else if (typeof result.then === 'function') {
+        s.promises.push(result);
+      }
+    }
 
-  function updateBannerOnScroll() {
-    // Don't run on project pages
-    if (document.body.classList.contains('project-page')) return;
+    function finishAnimations(s) {
+      s.animations.forEach((a) => {
+        try {
+          a.finish();
+        } catch (e) { }
+      });
+    }
 
-    const bannerContainer = document.querySelector('.component-banner');
-    if (!bannerContainer) return;
+    /**
+     * Jump to the final state: running steps finish their animations,
+     * pending steps run immediately (using `final` where given).
+     */
+    function skip() {
+      if (skipped) return completion.promise;
+      skipped = true;
 
-    const scrollTop = window.scrollY;
-    let pos = STATE.animations.bannerPosition;
-    if (!pos) {
-      storeBannerPosition();
-      pos = STATE.animations.bannerPosition;
-      if (!pos) return;
+      steps.forEach((s) => {
+        if (s.state === 'running') finishAnimations(s);
+      });
+      steps.forEach((s) => {
+        if (s.state === 'scheduled') runStep(s);
+      });
+      return completion.promise;
     }
 
-    const distanceFromTop = pos.top - scrollTop;
-    const effectRange = window.innerWidth > 768 ? 450 : 300;
+    function setSpeed(multiplier) {
+      if (!(multiplier > 0)) return;
+      clockOffset = now();
+      clockOrigin = performance.now();
+      speed = multiplier;
 
-    if (distanceFromTop < 0) {
-      const scrolledDistance = Math.abs(distanceFromTop);
-      const progress = Math.min(scrolledDistance / effectRange, 1);
-      const currentOpacity = interpolate(1, 0, progress);
-      const currentScale = interpolate(1, 0.9, progress);
-
-      bannerContainer.style.opacity = String(currentOpacity);
-      bannerContainer.style.transform = `scale(${currentScale})`;
-    } else {
-      bannerContainer.style.opacity = '1';
-      bannerContainer.style.transform = 'scale(1)';
+      steps.forEach((s) => {
+        if (s.state === 'scheduled') arm(s);
+        if (s.state === 'running') s.animations.forEach((a) => { a.playbackRate = speed; });
+      });
     }
+
+    const api = {
+      step,
+      play,
+      skip,
+      setSpeed,
+      get finished() { return completion.promise; },
+    };
+    return api;
   }
 
-  function reveal() {
-    const bannerImg = document.querySelector('.bannerImage');
-    if (bannerImg) {
-      requestAnimationFrame(() => bannerImg.classList.remove('start-hidden'));
-    }
+  function skip() {
+    playing.forEach((timeline) => timeline.skip());
+  }
+
+  function setSpeed(multiplier) {
+    if (!(multiplier > 0)) return;
+    globalSpeed = multiplier;
+    playing.forEach((timeline) => timeline.setSpeed(multiplier));
   }
 
   return {
-    initialize,
-    updateBannerOnScroll,
-    reveal
+    create,
+    skip,
+    setSpeed
   };
 })();
 
 // -----------------------------------------------------------------------------
-// 4.3 Pill Animations
+// 4.1 Text Animations  (UPDATED: dispatch 'headerIntroDone' when finished)
 // -----------------------------------------------------------------------------
-const PillAnimator = (function () {
-  function initialize() {
-    const pillSection = document.querySelector('.component-pills');
-    if (!pillSection) return;
+/**
+ * Wraps an element's text in per-character, per-word or per-line fragments so
+ * headlines can be revealed piece by piece. Nested markup (.highlight, .strong)
+ * is kept; only its text nodes are split. The fragments are aria-hidden and
+ * the full sentence stays available to screen readers (aria-label on headings,
+ * a visually hidden copy on anything else).
+ *
+ *   <h2 data-split="words"              chars | words | lines
+ *       data-split-preset="rise"        preset name (see PRESETS)
+ *       data-split-stagger="60"         ms between fragments, defaults per unit
+ *       data-split-delay="0"            ms before the first fragment
+ *       data-split-duration="700">      ms per fragment, defaults to the preset's
+ *
+ * The intro headline (.introText) is revealed by TextAnimator; every other
+ * [data-split] element reveals when it scrolls into view.
+ */
+const SplitText = (function () {
+  const EASE = 'cubic-bezier(0.645, 0.045, 0.355, 1)';
+  const THRESHOLD = 0.2;
+  const LINE_TOLERANCE = 5;
+  const UNITS = ['chars', 'words', 'lines'];
+  const DEFAULT_STAGGER = { chars: 25, words: 60, lines: 120 };
+  // Kept whole, e.g. the rotating phrase slot manages its own text. .highlight
+  // paints its text through background-clip, which drops any fragment that
+  // becomes its own stacking context, so highlighted runs move as one piece.
+  const ATOMIC = '#rotating-slot, [data-rotating-words], [data-split-atomic], .sr-only, .highlight';
+
+  const PRESETS = {
+    rise: {
+      keyframes: [
+        { opacity: 0, transform: 'translateY(0.6em)' },
+        { opacity: 1, transform: 'translateY(0)' },
+      ],
+      duration: 700,
+    },
+    drop: {
+      keyframes: [
+        { opacity: 0, transform: 'translateY(-0.6em)' },
+        { opacity: 1, transform: 'translateY(0)' },
+      ],
+      duration: 700,
+    },
+    fade: {
+      keyframes: [{ opacity: 0 }, { opacity: 1 }],
+      duration: 600,
+    },
+    blur: {
+      keyframes: [
+        { opacity: 0, filter: 'blur(8px)' },
+        { opacity: 1, filter: 'blur(0)' },
+      ],
+      duration: 800,
+    },
+    mask: {
+      keyframes: [
+        { opacity: 1, clipPath: 'inset(0 0 100% 0)', transform: 'translateY(0.3em)' },
+        { opacity: 1, clipPath: 'inset(0 0 0% 0)', transform: 'translateY(0)' },
+      ],
+      duration: 800,
+    },
+  };
 
-    const pillObserver = new IntersectionObserver(
-      (entries, observer) => {
-        if (isAutoScrolling) return;
-        entries.forEach((entry) => {
-          if (entry.isIntersecting && entry.intersectionRatio >= 0.6) {
-            observer.unobserve(entry.target);
-            const pills = entry.target.querySelectorAll('.pill.hidden-init');
-            animatePills(pills);
-          }
-        });
-      },
-      { threshold: 0.6 }
-    );
+  const originals = new WeakMap(); // element -> { html, ariaLabel }
+  let observer = null;
 
-    pillObserver.observe(pillSection);
+  function readUnit(el, unit) {
+    const value = unit || el.dataset.split;
+    return UNITS.includes(value) ? value : 'words';
   }
 
-  function animatePills(pills) {
-    pills.forEach((pill, index) => {
-      const animation = pill.animate(
-        [
-          { opacity: 0, transform: 'translateY(80px)' },
-          { opacity: 1, transform: 'translateY(0)' },
-        ],
-        {
-          duration: 700,
-          delay: index * 100,
-          fill: 'forwards',
-          easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
-        }
-      );
-      animation.onfinish = () => pill.classList.remove('hidden-init');
-    });
+  function readNumber(el, name, fallback) {
+    const value = parseFloat(el.dataset[name]);
+    return Number.isFinite(value) ? value : fallback;
   }
 
-  return { initialize };
-})();
-
-// -----------------------------------------------------------------------------
-// 4.4 Project Thumbnails
-// -----------------------------------------------------------------------------
-const ProjectThumbnails = (function () {
-  function initialize() {
-    STATE.animations.thumbnails = Array.from(document.querySelectorAll('.projectThumbnail'));
-    if (STATE.animations.thumbnails.length === 0) return;
-
-    // Mark the first thumbnail as the hero (preloader-controlled)
-    const hero = STATE.animations.thumbnails[0];
-    if (hero) hero.classList.add('is-hero');
+  function makeFragment(className, text) {
+    const span = document.createElement('span');
+    span.className = className;
+    span.setAttribute('aria-hidden', 'true');
+    if (text !== undefined) span.textContent = text;
+    return span;
+  }
 
-    STATE.animations.thumbnails.forEach(initializeThumbnail);
+  function splitTextNode(node, unit) {
+    const parts = node.textContent.split(/(\s+)/);
+    const fragment = document.createDocumentFragment();
 
-    window.addEventListener('scroll', () => {
-      requestAnimationFrame(updateThumbnailsOnScroll);
+    parts.forEach((part) => {
+      if (!part) return;
+      // Whitespace stays a plain text node so lines still wrap naturally
+      if (/^\s+$/.test(part)) {
+        fragment.appendChild(document.createTextNode(part));
+        return;
+      }
+      const word = makeFragment('split-word');
+      if (unit === 'chars') {
+        Array.from(part).forEach((char) => {
+          word.appendChild(makeFragment('split-char', char));
+        });
+      } else {
+        word.textContent = part;
+      }
+      fragment.appendChild(word);
     });
 
-    setTimeout(updateThumbnailsOnScroll, 1500);
+    node.replaceWith(fragment);
   }
 
-  function initializeThumbnail(thumbnail, index) {
-    thumbnail.setAttribute('data-index', index);
+  /**
+   * Groups elements into visual rows by their offsetTop.
+   * Returns an array of arrays, top to bottom.
+   */
+  function groupLines(elements) {
+    const rows = [];
+    let currentTop = -Infinity;
+    let currentRow = null;
 
-    const observer = new IntersectionObserver(
-      (entries, obs) => {
-        if (isAutoScrolling) return;
-        entries.forEach((entry) => {
-          if (entry.isIntersecting) {
-            entry.target.classList.add('fadeIn-visible');
-            setTimeout(() => storePosition(entry.target), 100);
-            obs.unobserve(entry.target);
-          }
-        });
-      },
-      { threshold: 0.05 }
-    );
+    elements.forEach((el) => {
+      const top = el.offsetTop;
+      if (Math.abs(top - currentTop) > LINE_TOLERANCE) {
+        currentTop = top;
+        currentRow = { top, items: [] };
+        rows.push(currentRow);
+      }
+      currentRow.items.push(el);
+    });
 
-    observer.observe(thumbnail);
+    return rows.sort((a, b) => a.top - b.top).map((row) => row.items);
   }
 
-  function storePosition(thumbnail) {
-    const rect = thumbnail.getBoundingClientRect();
-    STATE.animations.thumbnailPositions.set(thumbnail, {
-      top: rect.top + window.scrollY,
-      height: rect.height,
-    });
-  }
+  /**
+   * Splits an element once and returns its fragments grouped for staggering:
+   * one group per char or word, or one group per line.
+   */
+  function split(el, unit) {
+    unit = readUnit(el, unit);
+
+    if (!originals.has(el)) {
+      const label = el.textContent.replace(/\s+/g, ' ').trim();
+      originals.set(el, {
+        html: el.innerHTML,
+        ariaLabel: el.getAttribute('aria-label'),
+      });
 
-  function updateThumbnailsOnScroll() {
-    if (isAutoScrolling) return;
+      el.querySelectorAll('.hidden-init').forEach((child) => child.classList.remove('hidden-init'));
 
-    const scrollTop = window.scrollY;
-    const viewportBottom = scrollTop + window.innerHeight;
-    const effectRange = 300;
-    const startEffectOffset = 50;
+      const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => {
+          if (!node.textContent.trim()) return NodeFilter.FILTER_REJECT;
+          return node.parentElement.closest(ATOMIC) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+        },
+      });
+      const textNodes = [];
+      while (walker.nextNode()) textNodes.push(walker.currentNode);
+      textNodes.forEach((node) => splitTextNode(node, unit));
 
-    STATE.animations.thumbnails.forEach((thumbnail) => {
-      thumbnail.style.opacity = '';
-      thumbnail.style.transform = '';
-      if (!thumbnail.classList.contains('fadeIn-visible')) return;
-
-      let pos = STATE.animations.thumbnailPositions.get(thumbnail);
-      if (!pos) {
-        storePosition(thumbnail);
-        pos = STATE.animations.thumbnailPositions.get(thumbnail);
-        if (!pos) return;
+      el.querySelectorAll(ATOMIC).forEach((atom) => {
+        if (!atom.parentElement.closest(ATOMIC)) atom.classList.add('split-atom');
+      });
+
+      // Headings take their name from aria-label; other elements get a hidden copy
+      if (/^H[1-6]$/.test(el.tagName)) {
+        el.setAttribute('aria-label', label);
+      } else {
+        const copy = document.createElement('span');
+        copy.className = 'sr-only split-label';
+        copy.textContent = label;
+        el.appendChild(copy);
       }
+      el.classList.add('is-split');
+    }
 
-      if (pos.top < viewportBottom && pos.top + pos.height > scrollTop) {
-        const distanceFromTop = pos.top - scrollTop;
-        if (distanceFromTop < 0) {
-          const past = Math.min(Math.max(Math.abs(distanceFromTop) - startEffectOffset, 0), effectRange);
-          const progress = past / effectRange;
-          const currentOpacity = interpolate(1, 0.8, progress);
-          const currentScale = interpolate(1, 0.9, progress);
-          thumbnail.style.opacity = String(currentOpacity);
-          thumbnail.style.transform = `scale(${currentScale})`;
-        }
+    const words = Array.from(el.querySelectorAll('.split-word, .split-atom'));
+    if (unit === 'lines') return groupLines(words);
+    if (unit === 'chars') {
+      return words.flatMap((word) => {
+        const chars = Array.from(word.querySelectorAll('.split-char'));
+        return chars.length ? chars.map((char) => [char]) : [[word]];
+      });
+    }
+    return words.map((word) => [word]);
+  }
+
+  /** Restores the element's original markup. */
+  function revert(el) {
+    const original = originals.get(el);
+    if (!original) return;
+    el.innerHTML = original.html;
+    if (original.ariaLabel === null) el.removeAttribute('aria-label');
+    else el.setAttribute('aria-label', original.ariaLabel);
+    el.classList.remove('is-split', 'split-pending');
+    originals.delete(el);
+  }
+
+  /**
+   * Splits (if needed) and plays the element's preset. Returns the fragment
+   * animations so callers can await or finish them.
+   */
+  function reveal(el, options = {}) {
+    const unit = readUnit(el, options.unit);
+    const preset = PRESETS[options.preset || el.dataset.splitPreset] || PRESETS.rise;
+    const stagger = options.stagger ?? readNumber(el, 'splitStagger', DEFAULT_STAGGER[unit]);
+    const delay = options.delay ?? readNumber(el, 'splitDelay', 0);
+    const duration = options.duration ?? readNumber(el, 'splitDuration', preset.duration);
+    const groups = split(el, unit);
+
+    el.classList.remove('split-pending');
+
+    return groups.flatMap((group, index) => group.map((fragment) => MotionManager.animate(
+      fragment,
+      preset.keyframes,
+      {
+        duration,
+        delay: delay + index * stagger,
+        // Nothing stays on the fragments once they land
+        fill: 'backwards',
+        easing: options.easing || EASE,
       }
+    )));
+  }
+
+  function onIntersect(entries) {
+    entries.forEach((entry) => {
+      if (!entry.isIntersecting) return;
+      observer.unobserve(entry.target);
+      reveal(entry.target);
     });
   }
 
-  function refreshThumbnails() {
-    STATE.animations.thumbnails.forEach((thumbnail) => {
-      if (thumbnail.classList.contains('fadeIn-visible')) return;
-      const rect = thumbnail.getBoundingClientRect();
-      const inView = rect.top < window.innerHeight && rect.bottom > 0;
-      if (inView) {
-        thumbnail.classList.add('fadeIn-visible');
-        storePosition(thumbnail);
-      }
+  function initialize() {
+    const targets = Array.from(document.querySelectorAll('[data-split]'))
+      .filter((el) => !el.matches('.introText'))
+      .filter((el) => {
+        if (!el.closest('.highlight')) return true;
+        console.warn('[SplitText] Skipping a .highlight element; its text clip can\'t be split.', el);
+        return false;
+      });
+    if (targets.length === 0) return;
+
+    // Split up front so the hidden fragments are in place before they scroll in
+    targets.forEach((el) => {
+      split(el);
+      el.classList.add('split-pending');
     });
+
+    observer = new IntersectionObserver(onIntersect, { threshold: THRESHOLD });
+    targets.forEach((el) => observer.observe(el));
   }
 
-  return {
-    initialize,
-    updateThumbnailsOnScroll,
-    refreshThumbnails
-  };
+  return { initialize, split, revert, reveal, groupLines };
 })();
 
-// -----------------------------------------------------------------------------
-// 4.5 Section Animator - FIXED VERSION
-// -----------------------------------------------------------------------------
-const SectionAnimator = (function () {
-  let observer;
-  let sections;
-  const THRESHOLD = 0.1;
+const TextAnimator = (function () {
+  /**
+   * Returns the intro's Animation objects so callers (the intro timeline) can
+   * await, speed up or finish them.
+   */
+  function initialize(mobileSeparatorDelay = 1300) {
+    return animateIntroText(mobileSeparatorDelay);
+  }
 
-  function initialize() {
-    const selectors = [
-      '.component-description',
-      '.component-sectionTitle',
+  function animateIntroText(mobileSeparatorDelay = 1300) {
+    const introText = document.querySelector('.introText');
+
+    // If there is no header intro on this page, resolve immediately
+    if (!introText) {
+      document.dispatchEvent(new CustomEvent('headerIntroDone'));
+      return [];
+    }
+
+    const allAnims = []; // collect Animation objects
+
+    // Headlines that opt into a split-text preset, on any page
+    if (introText.hasAttribute('data-split')) {
+      introText.style.opacity = '1';
+      introText.style.transform = 'none';
+      allAnims.push(...SplitText.reveal(introText));
+
+      const subHeader = document.querySelector('.sub-header-text');
+      if (subHeader) {
+        const lastStart = Math.max(0, ...allAnims.map((a) => a.effect.getTiming().delay));
+        allAnims.push(MotionManager.animate(
+          subHeader,
+          [
+            { opacity: 0, transform: 'translateY(20px)' },
+            { opacity: 0.8, transform: 'translateY(0)' },
+          ],
+          {
+            duration: 600,
+            delay: lastStart + 200,
+            fill: 'forwards',
+            easing: 'cubic-bezier(0.25, 1, 0.5, 1)',
+          }
+        ));
+      }
+
+      Promise.all(
+        allAnims.map((a) => (a && a.finished ? a.finished.catch(() => { }) : Promise.resolve()))
+      ).then(() => {
+        document.dispatchEvent(new CustomEvent('headerIntroDone'));
+      });
+
+      return allAnims;
+    }
+
+    // Check if this is a project page - handle differently
+    if (document.body.classList.contains('project-page')) {
+      console.log('Animating project page header');
+
+      // Remove hidden-init from all spans inside introText
+      const spans = introText.querySelectorAll('span');
+      spans.forEach(span => {
+        span.classList.remove('hidden-init');
+      });
+
+      // Now animate the container
+      introText.style.opacity = '0';
+      introText.style.transform = 'translateY(40px)';
+
+      const headerAnim = MotionManager.animate(
+        introText,
+        [
+          { opacity: 0, transform: 'translateY(40px)' },
+          { opacity: 1, transform: 'translateY(0)' }
+        ],
+        {
+          duration: 800,
+          delay: 0,
+          fill: 'forwards',
+          easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+        }
+      );
+
+      headerAnim.onfinish = () => {
+        introText.style.opacity = '1';
+        introText.style.transform = 'translateY(0)';
+        console.log('Header animation finished');
+      };
+
+      allAnims.push(headerAnim);
+
+      // Then animate sub-header text AFTER main header
+      const subHeader = document.querySelector('.sub-header-text');
+      if (subHeader) {
+        subHeader.style.opacity = '0';
+        subHeader.style.transform = 'translateY(20px)';
+
+        const subAnim = MotionManager.animate(
+          subHeader,
+          [
+            { opacity: 0, transform: 'translateY(20px)' },
+            { opacity: 0.8, transform: 'translateY(0)' },
+          ],
+          {
+            duration: 600,
+            delay: 400,
+            fill: 'forwards',
+            easing: 'cubic-bezier(0.25, 1, 0.5, 1)',
+          }
+        );
+
+        subAnim.onfinish = () => {
+          subHeader.style.cssText = 'opacity: 0.8 !important; transform: translateY(0) !important;';
+          console.log('Subheader animation finished');
+        };
+
+        allAnims.push(subAnim);
+      }
+
+      // When everything finishes, announce completion
+      Promise.all(
+        allAnims.map((a) => (a && a.finished ? a.finished.catch(() => { }) : Promise.resolve()))
+      ).then(() => {
+        document.dispatchEvent(new CustomEvent('headerIntroDone'));
+      });
+
+      return allAnims; // Exit early for project pages
+    }
+
+    // Below is the original home page animation logic (keep as is)
+    const spans = Array.from(introText.querySelectorAll('span'));
+    if (spans.length === 0) {
+      document.dispatchEvent(new CustomEvent('headerIntroDone'));
+      return [];
+    }
+
+    // Rest of your home page animation code...
+    spans.forEach((span) => {
+      span.style.display = 'inline-block';
+      span.classList.add('hidden-init');
+    });
+
+    introText.offsetHeight;
+
+    const rows = SplitText.groupLines(spans);
+
+    const movementDuration = 1200;
+    const opacityDuration = 600;
+    const rowStagger = 80;
+    const intraStagger = 120;
+
+    rows.forEach((row, rowIndex) => {
+      row.forEach((span, spanIndex) => {
+        const delay = rowIndex * rowStagger + (rowIndex === 1 ? spanIndex * intraStagger : 0);
+
+        const aFade = MotionManager.animate(
+          span,
+          [{ opacity: 0 }, { opacity: 1 }],
+          {
+            duration: opacityDuration,
+            delay,
+            fill: 'forwards',
+            easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+          }
+        );
+        allAnims.push(aFade);
+
+        const aMove = MotionManager.animate(
+          span,
+          [{ transform: 'translateY(80px)' }, { transform: 'translateY(0)' }],
+          {
+            duration: movementDuration,
+            delay,
+            fill: 'forwards',
+            easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+          }
+        );
+        allAnims.push(aMove);
+      });
+    });
+
+    const mobileSeparator = document.querySelector('.mobile-only-separator');
+    if (mobileSeparator) {
+      mobileSeparator.style.opacity = '0';
+      mobileSeparator.style.transform = 'translateY(20px)';
+      const sepAnim = MotionManager.animate(
+        mobileSeparator,
+        [
+          { opacity: 0, transform: 'translateY(20px)' },
+          { opacity: 1, transform: 'translateY(0)' }
+        ],
+        {
+          duration: 600,
+          delay: mobileSeparatorDelay,
+          fill: 'forwards',
+          easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+        }
+      );
+      allAnims.push(sepAnim);
+    }
+
+    const subHeader = document.querySelector('.sub-header-text');
+    if (subHeader) {
+      const aSub = MotionManager.animate(
+        subHeader,
+        [
+          { opacity: 0, transform: 'translateY(20px)' },
+          { opacity: 0.8, transform: 'translateY(0)' },
+        ],
+        {
+          duration: 800,
+          delay: 300,
+          fill: 'forwards',
+          easing: 'cubic-bezier(0.25, 1, 0.5, 1)',
+        }
+      );
+      allAnims.push(aSub);
+    }
+
+    Promise.all(
+      allAnims.map((a) => (a && a.finished ? a.finished.catch(() => { }) : Promise.resolve()))
+    ).then(() => {
+      document.dispatchEvent(new CustomEvent('headerIntroDone'));
+    });
+
+    return allAnims;
+  }
+
+  return { initialize };
+})();
+
+// -----------------------------------------------------------------------------
+// 4.2 Banner Management
+// -----------------------------------------------------------------------------
+const BannerManager = (function () {
+  function initialize(options = {}) {
+    const bannerImg = document.querySelector('.bannerImage');
+    if (bannerImg) {
+      if (options.delayed) {
+        // Keep it hidden, will be revealed later
+      } else {
+        requestAnimationFrame(() => bannerImg.classList.remove('start-hidden'));
+      }
+    }
+
+    // Fade/scale the banner as it scrolls away
+    const bannerContainer = document.querySelector('.component-banner');
+    if (bannerContainer) {
+      ScrollEffects.register(bannerContainer, {
+        range: () => ({ start: 0, end: window.innerWidth > 768 ? 450 : 300 }),
+        opacity: [1, 0],
+        scale: [1, 0.9],
+      });
+    }
+  }
+
+  /**
+   * Returns the banner image so its reveal transition can be tracked.
+   */
+  function reveal() {
+    const bannerImg = document.querySelector('.bannerImage');
+    if (bannerImg) bannerImg.classList.remove('start-hidden');
+    return bannerImg;
+  }
+
+  return {
+    initialize,
+    reveal
+  };
+})();
+
+// -----------------------------------------------------------------------------
+// 4.3 Pill Animations
+// -----------------------------------------------------------------------------
+const PillAnimator = (function () {
+  function initialize() {
+    const pillSections = document.querySelectorAll('.component-pills');
+    if (pillSections.length === 0) return;
+
+    const pillObserver = new IntersectionObserver(
+      (entries, observer) => {
+        if (isAutoScrolling) return;
+        entries.forEach((entry) => {
+          if (entry.isIntersecting && entry.intersectionRatio >= 0.6) {
+            observer.unobserve(entry.target);
+            const pills = entry.target.querySelectorAll('.pill.hidden-init');
+            animatePills(pills);
+          }
+        });
+      },
+      { threshold: 0.6 }
+    );
+
+    pillSections.forEach((section) => pillObserver.observe(section));
+  }
+
+  function animatePills(pills) {
+    pills.forEach((pill, index) => {
+      const animation = MotionManager.animate(
+        pill,
+        [
+          { opacity: 0, transform: 'translateY(80px)' },
+          { opacity: 1, transform: 'translateY(0)' },
+        ],
+        {
+          duration: 700,
+          delay: index * 100,
+          fill: 'forwards',
+          easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+        }
+      );
+      animation.onfinish = () => pill.classList.remove('hidden-init');
+    });
+  }
+
+  return { initialize };
+})();
+
+// -----------------------------------------------------------------------------
+// 4.4 Project Thumbnails
+// -----------------------------------------------------------------------------
+const ProjectThumbnails = (function () {
+  function initialize() {
+    STATE.animations.thumbnails = Array.from(document.querySelectorAll('.projectThumbnail'));
+    if (STATE.animations.thumbnails.length === 0) return;
+
+    // Mark the first thumbnail as the hero (preloader-controlled)
+    const hero = STATE.animations.thumbnails[0];
+    if (hero) hero.classList.add('is-hero');
+
+    STATE.animations.thumbnails.forEach(initializeThumbnail);
+  }
+
+  function initializeThumbnail(thumbnail, index) {
+    thumbnail.setAttribute('data-index', index);
+
+    // Already revealed by the intro
+    if (thumbnail.classList.contains('fadeIn-visible')) {
+      addScrollEffect(thumbnail);
+      return;
+    }
+
+    const observer = new IntersectionObserver(
+      (entries, obs) => {
+        if (isAutoScrolling) return;
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            entry.target.classList.add('fadeIn-visible');
+            addScrollEffect(entry.target);
+            obs.unobserve(entry.target);
+          }
+        });
+      },
+      { threshold: 0.05 }
+    );
+
+    observer.observe(thumbnail);
+  }
+
+  // Fade/scale each revealed thumbnail once its top scrolls past the viewport top
+  function addScrollEffect(thumbnail) {
+    ScrollEffects.register(thumbnail, {
+      range: { start: 50, end: 350 },
+      opacity: [1, 0.8],
+      scale: [1, 0.9],
+    });
+  }
+
+  function refreshThumbnails() {
+    STATE.animations.thumbnails.forEach((thumbnail) => {
+      if (thumbnail.classList.contains('fadeIn-visible')) return;
+      const rect = thumbnail.getBoundingClientRect();
+      const inView = rect.top < window.innerHeight && rect.bottom > 0;
+      if (inView) {
+        thumbnail.classList.add('fadeIn-visible');
+        addScrollEffect(thumbnail);
+      }
+    });
+  }
+
+  return {
+    initialize,
+    refreshThumbnails
+  };
+})();
+
+// -----------------------------------------------------------------------------
+// 4.5 Section Animator - FIXED VERSION
+// -----------------------------------------------------------------------------
+/**
+ * Sections reveal as they scroll into view. By default the behaviour comes
+ * from the component class (description, experience, text section, generic).
+ * Any element can instead declare its reveal in the markup:
+ *
+ *   <section data-animate="fade-up"            preset name (see PRESETS)
+ *            data-animate-delay="200"          ms before the element starts
+ *            data-animate-duration="700"       ms, defaults to the preset's
+ *            data-animate-easing="ease-out"    defaults to the site curve
+ *            data-animate-distance="40"        px, for the slide/fade-* presets
+ *            data-animate-stagger=".paragraph-section"   children to cascade
+ *            data-animate-stagger-step="150"   ms between children
+ *            data-animate-children="fade">     children's preset (else the same)
+ *
+ * The class-based behaviours are also available by name: data-animate="description",
+ * "experience", "text-section" or "generic".
+ */
+const SectionAnimator = (function () {
+  let observer;
+  let sections;
+  let visibleOnLoad = { sections: [], thumbnails: [] };
+  const THRESHOLD = 0.1;
+  const EASE = 'cubic-bezier(0.645, 0.045, 0.355, 1)';
+  const DEFAULT_DURATION = 700;
+  const DEFAULT_DISTANCE = 40;
+  const STAGGER_OFFSET = 200;
+  const STAGGER_STEP = 150;
+
+  const PRESETS = {
+    fade: {
+      keyframes: () => [{ opacity: 0 }, { opacity: 1 }],
+      duration: 600,
+    },
+    'fade-up': {
+      keyframes: (d) => [
+        { opacity: 0, transform: `translateY(${d}px)` },
+        { opacity: 1, transform: 'translateY(0)' },
+      ],
+    },
+    'fade-down': {
+      keyframes: (d) => [
+        { opacity: 0, transform: `translateY(${-d}px)` },
+        { opacity: 1, transform: 'translateY(0)' },
+      ],
+    },
+    'slide-left': {
+      keyframes: (d) => [
+        { opacity: 0, transform: `translateX(${d}px)` },
+        { opacity: 1, transform: 'translateX(0)' },
+      ],
+    },
+    'slide-right': {
+      keyframes: (d) => [
+        { opacity: 0, transform: `translateX(${-d}px)` },
+        { opacity: 1, transform: 'translateX(0)' },
+      ],
+    },
+    scale: {
+      keyframes: () => [
+        { opacity: 0, transform: 'scale(0.92)' },
+        { opacity: 1, transform: 'scale(1)' },
+      ],
+    },
+    'clip-reveal': {
+      keyframes: () => [
+        { opacity: 1, transform: 'none', clipPath: 'inset(0 0 100% 0)' },
+        { opacity: 1, transform: 'none', clipPath: 'inset(0 0 0% 0)' },
+      ],
+      duration: 900,
+    },
+    'line-draw': {
+      keyframes: () => [
+        { opacity: 1, transform: 'scaleX(0)', transformOrigin: 'left center' },
+        { opacity: 1, transform: 'scaleX(1)', transformOrigin: 'left center' },
+      ],
+      duration: 900,
+    },
+  };
+
+  // Class-based behaviours, selectable by name as well as by component class
+  const SECTION_PRESETS = {
+    description: (section) => animateDescriptionSection(section),
+    experience: (section) => animateExperienceSection(section),
+    'text-section': (section) => animateTextSection(section),
+    generic: (section) => animateGenericSection(section),
+  };
+
+  function initialize() {
+    const selectors = [
+      '.component-description',
+      '.component-sectionTitle',
       '.component-projectGrid',  // ADD THIS LINE
       '.component-textSection',
       '.component-experience',
       '.component-cta',
       '.component-featureImage',
+      '[data-animate]',
     ];
     sections = Array.from(document.querySelectorAll(selectors.join(', ')));
 
-    // Handle project thumbnails that are visible on load
-    if (document.body.classList.contains('project-page')) {
-      const thumbnails = document.querySelectorAll('.projectThumbnail');
-      thumbnails.forEach((thumb, index) => {
-        const rect = thumb.getBoundingClientRect();
-        if (rect.top < window.innerHeight && rect.bottom > 0) {
-          // It's visible on load, animate it immediately
-          setTimeout(() => {
-            thumb.classList.remove('hidden-init');
-            thumb.classList.add('fadeIn-visible');
-            thumb.style.opacity = '1';
-            thumb.style.transform = 'translateY(0)';
-          }, 600 + (index * 150));
-        }
+    // For project pages, handle visible vs below-fold elements differently.
+    // Elements visible on load are revealed by the project intro timeline.
+    if (document.body.classList.contains('project-page')) {
+      const thumbnails = Array.from(document.querySelectorAll('.projectThumbnail'));
+      visibleOnLoad.thumbnails = thumbnails.filter((thumb) => {
+        const rect = thumb.getBoundingClientRect();
+        return rect.top < window.innerHeight && rect.bottom > 0;
+      });
+
+      sections.forEach((section) => {
+        section.classList.add('hidden-init');
+      });
+
+      // Check which elements are already in viewport
+      const viewportHeight = window.innerHeight;
+      let belowFold = [];
+
+      sections.forEach((section) => {
+        const rect = section.getBoundingClientRect();
+        if (rect.top < viewportHeight) {
+          visibleOnLoad.sections.push(section);
+        } else {
+          belowFold.push(section);
+        }
+      });
+
+      // DEBUG: Log what's visible on load
+      console.log('Visible on load:', visibleOnLoad.sections.map(s => s.className));
+      console.log('Below fold:', belowFold.map(s => s.className));
+
+      // Observe only below-fold elements
+      if (belowFold.length > 0) {
+        observer = new IntersectionObserver(onIntersect, { threshold: THRESHOLD });
+        belowFold.forEach((section) => {
+          observer.observe(section);
+        });
+      }
+
+      return;
+    }
+
+    // Home page logic - UPDATED TO HANDLE TEXT SECTIONS
+    sections.forEach((section) => {
+      if (isDeclared(section)) {
+        section.classList.add('hidden-init');
+        return;
+      }
+
+      // Special handling for text sections - add hidden-init to children
+      if (section.classList.contains('component-textSection')) {
+        const sectionBodies = section.querySelectorAll('.sectionBody');
+        const quoteSection = section.querySelector('.quoteSection');
+
+        sectionBodies.forEach(body => body.classList.add('hidden-init'));
+        if (quoteSection) quoteSection.classList.add('hidden-init');
+
+        // Don't add hidden-init to the section container itself
+      } else if (section.classList.contains('component-description')) {
+        // Skip description (has its own logic)
+        return;
+      } else if (!section.classList.contains('component-pills') &&
+        !section.classList.contains('component-experience')) {
+        // For other sections, add hidden-init to the section itself
+        section.classList.add('hidden-init');
+      }
+    });
+
+    observer = new IntersectionObserver(onIntersect, { threshold: THRESHOLD });
+    sections.forEach((section) => {
+      if (section.classList.contains('component-description')) return;
+      observer.observe(section);
+    });
+  }
+
+  // Keep all the other functions exactly the same...
+  function onIntersect(entries, obs) {
+    if (isAutoScrolling) return;
+    entries.forEach((entry) => {
+      if (entry.isIntersecting) {
+        console.log(`Intersecting: ${entry.target.className}`);
+        // For project pages, use appropriate animation based on section type
+        if (document.body.classList.contains('project-page')) {
+          revealSection(entry.target);
+        } else {
+          triggerAnimation(entry.target);
+        }
+        obs.unobserve(entry.target);
+      }
+    });
+  }
+
+  function simpleReveal(element) {
+    if (!element.classList.contains('hidden-init')) return [];
+
+    const anim = MotionManager.animate(
+      element,
+      [
+        { opacity: 0, transform: 'translateY(40px)' },
+        { opacity: 1, transform: 'translateY(0)' },
+      ],
+      {
+        duration: 600,
+        fill: 'forwards',
+        easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+      }
+    );
+    anim.onfinish = () => {
+      element.style.opacity = '1';
+      element.style.transform = 'translateY(0)';
+    };
+
+    element.classList.remove('hidden-init');
+    return [anim];
+  }
+
+  function projectPageDescriptionReveal(section) {
+    if (!section.classList.contains('hidden-init')) return [];
+
+    const anims = [];
+
+    // Animate the main section container
+    const sectionAnim = MotionManager.animate(
+      section,
+      [
+        { opacity: 0, transform: 'translateY(40px)' },
+        { opacity: 1, transform: 'translateY(0)' },
+      ],
+      {
+        duration: 600,
+        fill: 'forwards',
+        easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+      }
+    );
+
+    sectionAnim.onfinish = () => {
+      section.style.opacity = '1';
+      section.style.transform = 'translateY(0)';
+    };
+
+    anims.push(sectionAnim);
+    section.classList.remove('hidden-init');
+
+    // Animate the line separator with a slight delay
+    const lineSeparator = section.querySelector('.lineSeparator');
+    if (lineSeparator) {
+      lineSeparator.style.opacity = '0';
+      const sepAnim = MotionManager.animate(
+        lineSeparator,
+        [
+          { opacity: 0, transform: 'translateY(20px)' },
+          { opacity: 1, transform: 'translateY(0)' },
+        ],
+        {
+          duration: 500,
+          delay: 50,
+          fill: 'forwards',
+          easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+        }
+      );
+      sepAnim.onfinish = () => {
+        lineSeparator.style.opacity = '1';
+        lineSeparator.style.transform = 'translateY(0)';
+      };
+      anims.push(sepAnim);
+    }
+
+    // Animate section title if present
+    const sectionTitle = section.querySelector('.sectionTitleText');
+    if (sectionTitle) {
+      sectionTitle.style.opacity = '0';
+      const titleAnim = MotionManager.animate(
+        sectionTitle,
+        [
+          { opacity: 0, transform: 'translateY(20px)' },
+          { opacity: 1, transform: 'translateY(0)' },
+        ],
+        {
+          duration: 500,
+          delay: 100,
+          fill: 'forwards',
+          easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+        }
+      );
+      titleAnim.onfinish = () => {
+        sectionTitle.style.opacity = '1';
+        sectionTitle.style.transform = 'translateY(0)';
+      };
+      anims.push(titleAnim);
+    }
+
+    // Animate each paragraph with staggered delays
+    const paragraphs = section.querySelectorAll('.paragraph-section');
+    paragraphs.forEach((paragraph, index) => {
+      paragraph.style.opacity = '0';
+      const paraAnim = MotionManager.animate(
+        paragraph,
+        [
+          { opacity: 0, transform: 'translateY(30px)' },
+          { opacity: 1, transform: 'translateY(0)' },
+        ],
+        {
+          duration: 600,
+          delay: 200 + index * 80,
+          fill: 'forwards',
+          easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+        }
+      );
+      paraAnim.onfinish = () => {
+        paragraph.style.opacity = '1';
+        paragraph.style.transform = 'translateY(0)';
+      };
+      anims.push(paraAnim);
+    });
+
+    return anims;
+  }
+
+  /**
+   * Project pages: reveal one section that was in view on load. Returns the
+   * Animation objects for the intro timeline.
+   */
+  function revealSection(section) {
+    if (isDeclared(section)) return animateDeclared(section);
+    if (section.classList.contains('component-description')) {
+      return projectPageDescriptionReveal(section);
+    }
+    return simpleReveal(section);
+  }
+
+  /**
+   * Project pages: thumbnails that were in view on load. Returns the
+   * thumbnail so its CSS transitions can be tracked.
+   */
+  function revealThumbnail(thumb) {
+    thumb.classList.remove('hidden-init');
+    thumb.classList.add('fadeIn-visible');
+    thumb.style.opacity = '1';
+    thumb.style.transform = 'translateY(0)';
+    return thumb;
+  }
+
+  function getVisibleOnLoad() {
+    return visibleOnLoad;
+  }
+
+  function triggerAnimation(section) {
+    if (isDeclared(section)) {
+      animateDeclared(section);
+    } else if (section.classList.contains('component-description')) {
+      animateDescriptionSection(section);
+    } else if (section.classList.contains('component-experience')) {
+      animateExperienceSection(section);
+    } else if (section.classList.contains('component-textSection')) {
+      animateTextSection(section);
+    } else {
+      animateGenericSection(section);
+    }
+  }
+
+  function isDeclared(section) {
+    return section.hasAttribute('data-animate');
+  }
+
+  function readNumber(el, name, fallback) {
+    const value = parseFloat(el.getAttribute(name));
+    return Number.isFinite(value) ? value : fallback;
+  }
+
+  /**
+   * Builds the reveal from the element's data-animate-* attributes. Returns
+   * the Animation objects (empty for the class-based presets).
+   */
+  function animateDeclared(section) {
+    if (!section.classList.contains('hidden-init')) return [];
+
+    const name = section.dataset.animate;
+    if (SECTION_PRESETS[name]) {
+      SECTION_PRESETS[name](section);
+      return [];
+    }
+
+    const delay = readNumber(section, 'data-animate-delay', 0);
+    const anims = [];
+
+    const own = runPreset(section, name, section, delay);
+    if (own) anims.push(own);
+    section.classList.remove('hidden-init');
+
+    const staggerSelector = section.dataset.animateStagger;
+    if (staggerSelector) {
+      const step = readNumber(section, 'data-animate-stagger-step', STAGGER_STEP);
+      const childPreset = section.dataset.animateChildren || name;
+      let children = [];
+      try {
+        children = section.querySelectorAll(staggerSelector);
+      } catch (e) {
+        console.warn(`[SectionAnimator] Invalid data-animate-stagger "${staggerSelector}".`);
+      }
+      children.forEach((child, index) => {
+        const anim = runPreset(child, childPreset, section, delay + STAGGER_OFFSET + index * step);
+        if (anim) anims.push(anim);
+      });
+    }
+
+    return anims;
+  }
+
+  // `source` carries the timing attributes; `target` is what moves
+  function runPreset(target, name, source, delay) {
+    const preset = PRESETS[name];
+    if (!preset) {
+      console.warn(`[SectionAnimator] Unknown data-animate preset "${name}".`);
+      return null;
+    }
+
+    const distance = readNumber(source, 'data-animate-distance', DEFAULT_DISTANCE);
+    return MotionManager.animate(target, preset.keyframes(distance), {
+      duration: readNumber(source, 'data-animate-duration', preset.duration || DEFAULT_DURATION),
+      delay,
+      fill: 'both',
+      easing: source.dataset.animateEasing || EASE,
+    });
+  }
+
+  function animateGenericSection(section) {
+    if (!section.classList.contains('hidden-init')) return;
+    MotionManager.animate(
+      section,
+      [
+        { opacity: 0, transform: 'translateY(80px)' },
+        { opacity: 1, transform: 'translateY(0)' },
+      ],
+      {
+        duration: 700,
+        fill: 'forwards',
+        easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+      }
+    );
+    section.classList.remove('hidden-init');
+  }
+
+  function animateDescriptionSection(section) {
+    // For home page, check if already revealed
+    if (!section.classList.contains('hidden-init') || section.dataset.revealed === '1') return;
+
+    // Animate the section itself
+    animateGenericSection(section);
+
+    // Hide the chevron when the description enters
+    const carat = document.querySelector('.component-banner .carat');
+    if (carat) carat.classList.remove('visible');
+
+    const lineSeparator = section.querySelector('.lineSeparator');
+    if (lineSeparator) {
+      lineSeparator.style.opacity = '0';
+      MotionManager.animate(
+        lineSeparator,
+        [
+          { opacity: 0, transform: 'translateY(40px)' },
+          { opacity: 1, transform: 'translateY(0)' },
+        ],
+        {
+          duration: 700,
+          delay: 100,
+          fill: 'forwards',
+          easing: 'cubic-bezier(0.645,0.045,0.355,1)',
+        }
+      );
+    }
+
+    const paragraphs = section.querySelectorAll('.paragraph-section');
+    paragraphs.forEach((paragraph, index) => {
+      paragraph.style.opacity = '0';
+      MotionManager.animate(
+        paragraph,
+        [
+          { opacity: 0, transform: 'translateY(40px)' },
+          { opacity: 1, transform: 'translateY(0)' },
+        ],
+        {
+          duration: 700,
+          delay: 200 + index * 150,
+          fill: 'forwards',
+          easing: 'cubic-bezier(0.645,0.045,0.355,1)',
+        }
+      );
+    });
+  }
+
+  function animateTextSection(section) {
+    animateGenericSection(section);
+    const container = section.querySelector('.rightColumnContainer');
+    if (!container) return;
+
+    const elementsToAnimate = container.querySelectorAll('.sectionBody, .quoteSection');
+
+    console.log('About section animation triggered');
+    console.log('Found elements to animate:', elementsToAnimate.length);
+
+    elementsToAnimate.forEach((el, index) => {
+      console.log(`Element ${index}:`, el.className);
+      console.log(`Has hidden-init:`, el.classList.contains('hidden-init'));
+
+      if (!el.classList.contains('hidden-init')) {
+        console.log('PROBLEM: Skipping element without hidden-init');
+        return;
+      }
+
+      const anim = MotionManager.animate(
+        el,
+        [
+          { opacity: 0, transform: 'translateY(40px)' },
+          { opacity: 1, transform: 'translateY(0)' },
+        ],
+        {
+          duration: 700,
+          delay: 200 + index * 150,
+          fill: 'forwards',
+          easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+        }
+      );
+
+      anim.onfinish = () => {
+        el.classList.remove('hidden-init');
+        el.style.opacity = '1';
+        el.style.transform = 'translateY(0)';
+        console.log(`Animation finished for element ${index}`);
+      };
+    });
+  }
+
+  function animateExperienceSection(section) {
+    animateGenericSection(section);
+
+    const experienceTitle = section.querySelector('.experienceTitleText');
+    if (experienceTitle) {
+      experienceTitle.style.transform = 'translateY(20px)';
+      experienceTitle.offsetHeight;
+      MotionManager.animate(
+        experienceTitle,
+        [
+          { opacity: 0, transform: experienceTitle.style.transform },
+          { opacity: 1, transform: 'translateY(0)' },
+        ],
+        {
+          duration: 600,
+          delay: 100,
+          fill: 'forwards',
+          easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+        }
+      );
+    }
+
+    const experienceItems = section.querySelectorAll('.experienceItem');
+    experienceItems.forEach((item, index) => {
+      item.style.transform = 'translateY(80px)';
+      item.offsetHeight;
+      MotionManager.animate(
+        item,
+        [
+          { opacity: 0, transform: item.style.transform },
+          { opacity: 1, transform: 'translateY(0)' },
+        ],
+        {
+          duration: 700,
+          delay: 200 + index * 150 + (experienceTitle ? 100 : 0),
+          fill: 'forwards',
+          easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+        }
+      );
+    });
+  }
+
+  function refresh() {
+    if (!sections) return;
+    sections.forEach((section) => {
+      if (!section.classList.contains('hidden-init')) return;
+      const rect = section.getBoundingClientRect();
+      const inViewport = rect.top < window.innerHeight && rect.bottom > 0;
+      if (inViewport) {
+        if (document.body.classList.contains('project-page')) {
+          revealSection(section);
+        } else {
+          triggerAnimation(section);
+        }
+        observer && observer.unobserve(section);
+      }
+    });
+  }
+
+  return {
+    initialize,
+    refresh,
+    revealSection,
+    revealThumbnail,
+    getVisibleOnLoad,
+  };
+})();
+
+// -----------------------------------------------------------------------------
+// 4.6 Rotating Words Manager - UPDATED TO PREVENT JUMP
+// -----------------------------------------------------------------------------
+/**
+ * Rotates through phrases in place of `#rotating-slot` (or any
+ * `[data-rotating-words]` element). Phrases come from the markup:
+ *
+ *   <span id="rotating-slot"
+ *         data-phrases='["<span class=\"thin\">problem</span> solver.", "..."]'
+ *         data-phrase-interval="2400" data-phrase-transition="1600">...</span>
+ *
+ * or from a `<template>` inside the slot, one element per phrase. The line
+ * height is measured from the rendered items, and screen readers get the
+ * whole list once rather than a changing node.
+ */
+const RotatingWordsManager = (function () {
+  const START_DELAY_MS = 3200;
+  const STEP_EVERY_MS = 2400;
+  const TRANSITION_MS = 1600;
+  const EASE = 'cubic-bezier(0.645, 0.045, 0.355, 1)';
+  const SLOT_SELECTOR = '#rotating-slot, [data-rotating-words]';
+  const DEFAULT_PHRASES = [
+    '<span class="thin">problem</span> solver.',
+    '<span class="thin">systems</span> builder.',
+    '<span class="thin">curious</span> creative.'
+  ];
+
+  const instances = [];
+  let visibilityListening = false;
+
+  function initialize(options = {}) {
+    const { startDelay = START_DELAY_MS } = options;
+    if (MotionManager.isReduced()) return;
+
+    // Don't initialize on project pages
+    if (document.body.classList.contains('project-page')) return;
+
+    const slots = Array.from(document.querySelectorAll(SLOT_SELECTOR));
+    if (slots.length === 0) return;
+
+    if (!visibilityListening) {
+      visibilityListening = true;
+      document.addEventListener('visibilitychange', onVisibilityChange);
+    }
+
+    setTimeout(() => {
+      slots.forEach((slot) => {
+        if (!slot.isConnected) return;
+        const instance = createInstance(slot);
+        if (instance) instances.push(instance);
+      });
+    }, startDelay);
+  }
+
+  function readPhrases(slot) {
+    const template = slot.querySelector('template');
+    if (template) {
+      const fromTemplate = Array.from(template.content.children, (el) => el.innerHTML.trim());
+      if (fromTemplate.length > 0) return fromTemplate;
+    }
+
+    if (slot.dataset.phrases) {
+      try {
+        const parsed = JSON.parse(slot.dataset.phrases);
+        if (Array.isArray(parsed) && parsed.length > 0) return parsed.map(String);
+      } catch (e) {
+        console.warn('[RotatingWordsManager] Invalid data-phrases JSON:', e);
+      }
+    }
+
+    return DEFAULT_PHRASES;
+  }
+
+  function readMs(slot, name, fallback) {
+    const value = parseFloat(slot.getAttribute(name));
+    return value >= 0 ? value : fallback;
+  }
+
+  function createInstance(slot) {
+    const phrases = readPhrases(slot);
+    if (phrases.length < 2) return null;
+
+    const interval = readMs(slot, 'data-phrase-interval', STEP_EVERY_MS);
+    const transitionMs = readMs(slot, 'data-phrase-transition', TRANSITION_MS);
+    const transition = `transform ${transitionMs}ms ${EASE}`;
+
+    const container = document.createElement('span');
+    container.className = 'rotating-words';
+
+    const inner = document.createElement('span');
+    inner.className = 'rotating-words-inner';
+    inner.setAttribute('aria-hidden', 'true');
+    inner.style.transition = transition;
+
+    phrases.forEach((html) => {
+      const item = document.createElement('span');
+      item.className = 'rotating-word';
+      item.innerHTML = html;
+      inner.appendChild(item);
+    });
+
+    // Screen readers hear every phrase once
+    const spoken = document.createElement('span');
+    spoken.className = 'sr-only';
+    spoken.textContent = Array.from(inner.children, (item) => item.textContent.trim()).join(' ');
+
+    inner.appendChild(inner.children[0].cloneNode(true));
+    container.append(spoken, inner);
+    slot.replaceWith(container);
+
+    const state = {
+      slot,
+      container,
+      inner,
+      headline: container.closest('h1, .introText') || container,
+      button: null,
+      count: phrases.length,
+      index: 0,
+      lineHeight: inner.children[0].getBoundingClientRect().height,
+      isAnimating: false,
+      timerId: null,
+      pauseReasons: new Set(),
+      interval,
+      transitionMs,
+      transition,
+      cleanup: [],
+    };
+
+    // Re-measure whenever the rendered line changes size (font, copy, breakpoint)
+    if (typeof ResizeObserver === 'function') {
+      const resizeObserver = new ResizeObserver(() => remeasure(state));
+      resizeObserver.observe(inner.children[0]);
+      state.cleanup.push(() => resizeObserver.disconnect());
+    }
+
+    // A re-measure mid-step cancels the transition; settle either way
+    const onTransitionEnd = (e) => {
+      if (e.target === inner && e.propertyName === 'transform' && state.isAnimating) settle(state);
+    };
+    ['transitionend', 'transitioncancel'].forEach((type) => inner.addEventListener(type, onTransitionEnd));
+    state.cleanup.push(() => {
+      ['transitionend', 'transitioncancel'].forEach((type) => inner.removeEventListener(type, onTransitionEnd));
+    });
+
+    // Hold still while the visitor is reading or interacting with the headline
+    const holdWhile = (reason, onEvent, offEvent) => {
+      const on = () => pauseFor(state, reason);
+      const off = () => resumeFor(state, reason);
+      state.headline.addEventListener(onEvent, on);
+      state.headline.addEventListener(offEvent, off);
+      state.cleanup.push(() => {
+        state.headline.removeEventListener(onEvent, on);
+        state.headline.removeEventListener(offEvent, off);
+      });
+    };
+    holdWhile('hover', 'mouseenter', 'mouseleave');
+    holdWhile('focus', 'focusin', 'focusout');
+
+    state.button = createPauseButton(state);
+    if (document.hidden) state.pauseReasons.add('hidden');
+
+    scheduleNext(state);
+    return state;
+  }
+
+  // WCAG 2.2.2: a visible control to stop the movement
+  function createPauseButton(state) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'rotating-words-toggle';
+    button.addEventListener('click', () => {
+      if (state.pauseReasons.has('user')) resumeFor(state, 'user');
+      else pauseFor(state, 'user');
+    });
+    state.headline.insertAdjacentElement('afterend', button);
+    updatePauseButton(state, button);
+    return button;
+  }
+
+  function updatePauseButton(state, button = state.button) {
+    if (!button) return;
+    const paused = state.pauseReasons.has('user');
+    button.textContent = paused ? 'Play' : 'Pause';
+    button.setAttribute('aria-label', paused ? 'Play rotating words' : 'Pause rotating words');
+  }
+
+  function remeasure(state) {
+    const height = state.inner.children[0].getBoundingClientRect().height;
+    if (!height || height === state.lineHeight) return;
+    state.lineHeight = height;
+
+    // Instantly reposition without animation, then restore the transition
+    state.inner.style.transition = 'none';
+    state.inner.style.transform = `translateY(-${state.index * state.lineHeight}px)`;
+    state.inner.offsetHeight;
+    requestAnimationFrame(() => {
+      state.inner.style.transition = state.transition;
+    });
+  }
+
+  function scheduleNext(state) {
+    clearTimeout(state.timerId);
+    state.timerId = null;
+    if (state.pauseReasons.size > 0) return;
+    state.timerId = setTimeout(() => step(state), state.interval);
+  }
+
+  function step(state) {
+    state.timerId = null;
+    if (state.isAnimating || state.pauseReasons.size > 0) return;
+    if (MotionManager.isReduced()) {
+      scheduleNext(state); // Hold the current word
+      return;
+    }
+
+    state.isAnimating = true;
+    state.index++;
+    state.inner.style.transform = `translateY(-${state.index * state.lineHeight}px)`;
+
+    // No transition means no transitionend
+    if (state.transitionMs === 0) settle(state);
+  }
+
+  // Runs when a step's transition ends: wrap the clone back to the first
+  // phrase, then queue the next step (unless paused meanwhile)
+  function settle(state) {
+    const { inner } = state;
+    if (state.index === state.count) {
+      inner.style.transition = 'none';
+      inner.style.transform = 'translateY(0)';
+      state.index = 0;
+      void inner.offsetHeight;
+      inner.style.transition = state.transition;
+    }
+    state.isAnimating = false;
+    scheduleNext(state);
+  }
+
+  function pauseFor(state, reason) {
+    state.pauseReasons.add(reason);
+    clearTimeout(state.timerId);
+    state.timerId = null;
+    if (reason === 'user') updatePauseButton(state);
+  }
+
+  function resumeFor(state, reason) {
+    if (!state.pauseReasons.delete(reason)) return;
+    if (reason === 'user') updatePauseButton(state);
+    // A step still in flight queues the next one when its transition ends
+    if (!state.isAnimating && state.timerId === null) scheduleNext(state);
+  }
+
+  function onVisibilityChange() {
+    instances.forEach((state) => {
+      if (document.hidden) pauseFor(state, 'hidden');
+      else resumeFor(state, 'hidden');
+    });
+  }
+
+  function pause() {
+    instances.forEach((state) => pauseFor(state, 'user'));
+  }
+
+  function resume() {
+    instances.forEach((state) => resumeFor(state, 'user'));
+  }
+
+  /**
+   * Stop every loop, remove the controls and put the original slots back.
+   */
+  function destroy() {
+    instances.forEach((state) => {
+      clearTimeout(state.timerId);
+      state.cleanup.forEach((fn) => fn());
+      if (state.button) state.button.remove();
+      state.container.replaceWith(state.slot);
+    });
+    instances.length = 0;
+    if (visibilityListening) {
+      visibilityListening = false;
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    }
+  }
+
+  return {
+    initialize,
+    pause,
+    resume,
+    destroy
+  };
+})();
+
+// -----------------------------------------------------------------------------
+// 4.7 Scroll Effects
+// -----------------------------------------------------------------------------
+/**
+ * One scroll-driven engine for the fade/scale/translate effects on elements
+ * scrolling out past the top of the viewport:
+ *
+ *   ScrollEffects.register(element, {
+ *     range: { start: 50, end: 350 },  // px the element's top has passed the
+ *                                      // viewport top (or a function returning it)
+ *     opacity: [1, 0.8],
+ *     scale: [1, 0.9],
+ *     translateY: [0, -40],            // px
+ *   });
+ *
+ * Where `animation-timeline: view()` is supported the effect is a CSS
+ * scroll-driven animation (`.scroll-effect` in styles.css) configured through
+ * custom properties. Otherwise a single passive scroll listener drives every
+ * effect from one requestAnimationFrame per frame. Reduced motion keeps the
+ * opacity and drops the scale/translate.
+ */
+const ScrollEffects = (function () {
+  const supportsViewTimeline = typeof CSS !== 'undefined' &&
+    typeof CSS.supports === 'function' &&
+    CSS.supports('animation-timeline: view()');
+
+  const effects = new Map(); // element -> { options, range, top }
+  let listening = false;
+  let frameRequested = false;
+
+  function register(element, options = {}) {
+    if (!element) return () => { };
+
+    const effect = { options, range: null, top: null };
+    effects.set(element, effect);
+    resolveRange(effect);
+    listen();
+
+    if (supportsViewTimeline) {
+      applyCustomProperties(element, effect);
+      element.classList.add('scroll-effect');
+    } else {
+      update();
+    }
+
+    return () => unregister(element);
+  }
+
+  function unregister(element) {
+    if (!effects.delete(element)) return;
+    element.classList.remove('scroll-effect');
+    ['start', 'end', 'opacity-from', 'opacity-to', 'scale-from', 'scale-to', 'y-from', 'y-to']
+      .forEach((name) => element.style.removeProperty(`--scroll-effect-${name}`));
+    element.style.opacity = '';
+    element.style.transform = '';
+  }
+
+  function resolveRange(effect) {
+    const { range = { start: 0, end: 300 } } = effect.options;
+    effect.range = typeof range === 'function' ? range() : range;
+  }
+
+  function valuesAt(options, progress) {
+    const reduced = MotionManager.isReduced();
+    const [opacityFrom = 1, opacityTo = opacityFrom] = options.opacity || [];
+    const [scaleFrom = 1, scaleTo = scaleFrom] = reduced ? [] : options.scale || [];
+    const [yFrom = 0, yTo = yFrom] = reduced ? [] : options.translateY || [];
+    return {
+      opacity: interpolate(opacityFrom, opacityTo, progress),
+      scale: interpolate(scaleFrom, scaleTo, progress),
+      y: interpolate(yFrom, yTo, progress),
+    };
+  }
+
+  function applyCustomProperties(element, effect) {
+    const from = valuesAt(effect.options, 0);
+    const to = valuesAt(effect.options, 1);
+    const props = {
+      start: `${effect.range.start}px`,
+      end: `${effect.range.end}px`,
+      'opacity-from': from.opacity,
+      'opacity-to': to.opacity,
+      'scale-from': from.scale,
+      'scale-to': to.scale,
+      'y-from': `${from.y}px`,
+      'y-to': `${to.y}px`,
+    };
+    Object.entries(props).forEach(([name, value]) => {
+      element.style.setProperty(`--scroll-effect-${name}`, String(value));
+    });
+  }
+
+  function listen() {
+    if (listening) return;
+    listening = true;
+
+    if (!supportsViewTimeline) {
+      window.addEventListener('scroll', update, { passive: true });
+    }
+    window.addEventListener('resize', debounce(refresh, 250));
+    MotionManager.subscribe(() => refresh());
+  }
+
+  /**
+   * Schedule a frame (fallback path). Safe to call any number of times per frame.
+   */
+  function update() {
+    if (supportsViewTimeline || frameRequested) return;
+    frameRequested = true;
+    requestAnimationFrame(render);
+  }
+
+  function render() {
+    frameRequested = false;
+    const scrollTop = window.scrollY;
+
+    effects.forEach((effect, element) => {
+      if (effect.top === null) effect.top = measure(element);
+
+      const { start, end } = effect.range;
+      const past = scrollTop - effect.top;
+      if (past <= start) {
+        element.style.opacity = '';
+        element.style.transform = '';
+        return;
+      }
+
+      const progress = Math.min((past - start) / Math.max(end - start, 1), 1);
+      const { opacity, scale, y } = valuesAt(effect.options, progress);
+      element.style.opacity = String(opacity);
+      element.style.transform = y ? `translateY(${y}px) scale(${scale})` : `scale(${scale})`;
+    });
+  }
+
+  // Document top, measured without our own transform applied
+  function measure(element) {
+    const previous = element.style.transform;
+    element.style.transform = '';
+    const top = element.getBoundingClientRect().top + window.scrollY;
+    element.style.transform = previous;
+    return top;
+  }
+
+  /**
+   * Re-measure positions and ranges, e.g. after layout changes.
+   */
+  function refresh() {
+    effects.forEach((effect, element) => {
+      effect.top = null;
+      resolveRange(effect);
+      if (supportsViewTimeline) applyCustomProperties(element, effect);
+    });
+    update();
+  }
+
+  return {
+    register,
+    unregister,
+    update,
+    refresh
+  };
+})();
+
+// =============================================================================
+// 5. UI COMPONENTS (Rest of the file remains the same)
+// =============================================================================
+
+// -----------------------------------------------------------------------------
+// 5.1 Experience Accordion
+// -----------------------------------------------------------------------------
+/**
+ * Accordion of roles in `.component-experience`. Options on the section:
+ *
+ *   data-experience-mode="single"   opening a role closes the others
+ *
+ * Otherwise an "Expand all / Collapse all" button is added under the title.
+ * Each role is linkable as #experience-<company> (its id, generated from the
+ * company name when missing); opening one updates the URL. Open heights follow
+ * the content as it reflows, and the expanded set is restored on reload.
+ */
+const ExperienceManager = (function () {
+  const STORAGE_KEY = 'experienceExpanded';
+  const PADDING_BUFFER = 32;
+
+  let items = [];
+  let singleMode = false;
+  let toggleAllButton = null;
+  let resizeObserver = null;
+  let pendingId = null;
+  let initialized = false;
+
+  function initialize() {
+    if (initialized) return;
+
+    const section = document.querySelector('.component-experience');
+    singleMode = !!section && section.dataset.experienceMode === 'single';
+
+    items = Array.from(document.querySelectorAll('.experienceItem'))
+      .map(setupItem)
+      .filter(Boolean);
+    if (items.length === 0) return;
+    initialized = true;
+
+    if (window.ResizeObserver) {
+      resizeObserver = new ResizeObserver((entries) => {
+        entries.forEach((entry) => {
+          const item = items.find((i) => i.content === entry.target);
+          if (item && isExpanded(item)) fitHeight(item);
+        });
       });
+      items.forEach((item) => resizeObserver.observe(item.content));
     }
 
-    // For project pages, handle visible vs below-fold elements differently
-    if (document.body.classList.contains('project-page')) {
-      sections.forEach((section) => {
-        section.classList.add('hidden-init');
-      });
+    if (!singleMode && section) createToggleAll(section);
 
-      // Check which elements are already in viewport
-      const viewportHeight = window.innerHeight;
-      let visibleOnLoad = [];
-      let belowFold = [];
+    // The saved set comes back first; a deep-linked role is opened on top of it
+    restoreState();
+    const linked = pendingId || window.location.hash.slice(1);
+    pendingId = null;
+    openById(linked);
 
-      sections.forEach((section) => {
-        const rect = section.getBoundingClientRect();
-        if (rect.top < viewportHeight) {
-          visibleOnLoad.push(section);
-        } else {
-          belowFold.push(section);
-        }
-      });
+    window.addEventListener('hashchange', () => openById(window.location.hash.slice(1)));
+  }
 
-      // DEBUG: Log what's visible on load
-      console.log('Visible on load:', visibleOnLoad.map(s => s.className));
-      console.log('Below fold:', belowFold.map(s => s.className));
+  function slugify(text) {
+    return text.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  }
 
-      // Animate visible elements with stagger
-      visibleOnLoad.forEach((section, index) => {
-        const delay = 200 + (index * 150);
-        console.log(`Animating ${section.className} with delay ${delay}ms`);
+  function setupItem(el, index) {
+    const container = el.querySelector('.experienceItem-container');
+    const bodyText = el.querySelector('.experienceItem-bodyText');
+    if (!container || !bodyText) return null;
 
-        setTimeout(() => {
-          if (section.classList.contains('component-description')) {
-            projectPageDescriptionReveal(section);
-          } else {
-            simpleReveal(section);
-          }
-        }, delay);
-      });
+    if (!el.id) {
+      const company = el.querySelector('.experienceItem-company');
+      el.id = `experience-${slugify(company ? company.textContent : String(index + 1))}`;
+    }
+    if (!bodyText.id) bodyText.id = `${el.id}-details`;
+
+    container.setAttribute('role', 'button');
+    container.setAttribute('aria-controls', bodyText.id);
+    container.setAttribute('aria-expanded', 'false');
+    bodyText.setAttribute('aria-hidden', 'true');
+    if (!container.hasAttribute('tabindex')) container.setAttribute('tabindex', '0');
+
+    const item = {
+      el,
+      container,
+      bodyText,
+      content: bodyText.querySelector('.experienceItem-bodyTextContent') || bodyText,
+    };
 
-      // Observe only below-fold elements
-      if (belowFold.length > 0) {
-        observer = new IntersectionObserver(onIntersect, { threshold: THRESHOLD });
-        belowFold.forEach((section) => {
-          observer.observe(section);
-        });
+    container.addEventListener('click', () => toggleExperienceItem(item));
+    container.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        toggleExperienceItem(item);
       }
+    });
 
-      return;
+    return item;
+  }
+
+  function isExpanded(item) {
+    return item.container.getAttribute('aria-expanded') === 'true';
+  }
+
+  function fitHeight(item) {
+    item.bodyText.style.maxHeight = `${item.content.offsetHeight + PADDING_BUFFER}px`;
+  }
+
+  function setExpanded(item, expanded) {
+    if (expanded === isExpanded(item)) return;
+
+    item.container.setAttribute('aria-expanded', String(expanded));
+    item.bodyText.setAttribute('aria-hidden', String(!expanded));
+    item.el.classList.toggle('is-expanded', expanded);
+
+    if (expanded) {
+      requestAnimationFrame(() => fitHeight(item));
+    } else {
+      item.bodyText.style.maxHeight = '0';
+    }
+  }
+
+  function toggleExperienceItem(item) {
+    const expand = !isExpanded(item);
+
+    if (expand && singleMode) {
+      items.forEach((other) => other !== item && setExpanded(other, false));
     }
+    setExpanded(item, expand);
 
-    // Home page logic - UPDATED TO HANDLE TEXT SECTIONS
-    sections.forEach((section) => {
-      // Special handling for text sections - add hidden-init to children
-      if (section.classList.contains('component-textSection')) {
-        const sectionBodies = section.querySelectorAll('.sectionBody');
-        const quoteSection = section.querySelector('.quoteSection');
+    // Keep the address bar pointing at the role that was just opened
+    if (expand) {
+      history.replaceState(null, '', `#${item.el.id}`);
+    } else if (window.location.hash === `#${item.el.id}`) {
+      history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
 
-        sectionBodies.forEach(body => body.classList.add('hidden-init'));
-        if (quoteSection) quoteSection.classList.add('hidden-init');
+    afterChange();
+  }
 
-        // Don't add hidden-init to the section container itself
-      } else if (section.classList.contains('component-description')) {
-        // Skip description (has its own logic)
-        return;
-      } else if (!section.classList.contains('component-pills') &&
-        !section.classList.contains('component-experience')) {
-        // For other sections, add hidden-init to the section itself
-        section.classList.add('hidden-init');
+  /**
+   * Opens the role with this id (e.g. "experience-ibm"). Returns true when the
+   * id belongs to a role; before initialize() it's remembered for later.
+   */
+  function openById(id) {
+    if (!id) return false;
+    if (!initialized) {
+      const el = document.getElementById(id);
+      if (el && el.classList.contains('experienceItem')) {
+        pendingId = id;
+        return true;
       }
-    });
+      return false;
+    }
 
-    observer = new IntersectionObserver(onIntersect, { threshold: THRESHOLD });
-    sections.forEach((section) => {
-      if (section.classList.contains('component-description')) return;
-      observer.observe(section);
+    const item = items.find((i) => i.el.id === id);
+    if (!item) return false;
+
+    if (singleMode) items.forEach((other) => other !== item && setExpanded(other, false));
+    setExpanded(item, true);
+    afterChange();
+    return true;
+  }
+
+  function setAll(expanded) {
+    items.forEach((item) => setExpanded(item, expanded));
+    afterChange();
+  }
+
+  function createToggleAll(section) {
+    const title = section.querySelector('.experienceTitle');
+    if (!title) return;
+
+    toggleAllButton = document.createElement('button');
+    toggleAllButton.type = 'button';
+    toggleAllButton.className = 'experience-toggle-all';
+    toggleAllButton.setAttribute('aria-controls', items.map((i) => i.bodyText.id).join(' '));
+    toggleAllButton.addEventListener('click', () => {
+      setAll(!items.every(isExpanded));
     });
+    title.appendChild(toggleAllButton);
+    updateToggleAll();
   }
 
-  // Keep all the other functions exactly the same...
-  function onIntersect(entries, obs) {
-    if (isAutoScrolling) return;
-    entries.forEach((entry) => {
-      if (entry.isIntersecting) {
-        console.log(`Intersecting: ${entry.target.className}`);
-        // For project pages, use appropriate animation based on section type
-        if (document.body.classList.contains('project-page')) {
-          if (entry.target.classList.contains('component-description')) {
-            projectPageDescriptionReveal(entry.target);
-          } else {
-            simpleReveal(entry.target);
-          }
-        } else {
-          triggerAnimation(entry.target);
-        }
-        obs.unobserve(entry.target);
+  function updateToggleAll() {
+    if (!toggleAllButton) return;
+    toggleAllButton.textContent = items.every(isExpanded) ? 'Collapse all' : 'Expand all';
+  }
+
+  function afterChange() {
+    updateToggleAll();
+    saveState();
+  }
+
+  function saveState() {
+    try {
+      const open = items.filter(isExpanded).map((i) => i.el.id);
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(open));
+    } catch (e) {
+      // Storage unavailable (private mode); state just won't persist
+    }
+  }
+
+  function restoreState() {
+    let saved = [];
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch (e) {
+      saved = [];
+    }
+    if (!Array.isArray(saved)) return;
+    if (singleMode) saved = saved.slice(0, 1);
+
+    items.forEach((item) => setExpanded(item, saved.includes(item.el.id)));
+    updateToggleAll();
+  }
+
+  return { initialize, openById, expandAll: () => setAll(true), collapseAll: () => setAll(false) };
+})();
+
+// -----------------------------------------------------------------------------
+// 5.2 Image Carousel
+// -----------------------------------------------------------------------------
+/**
+ * Drives the case-study carousel markup: any container with `.carousel-slide`
+ * children (the active one marked `.active`), and the `.carousel-caption`s in
+ * the same `.projectThumbnail`. Containers are found by structure rather than
+ * by id, since several pages reuse the same carousel id.
+ *
+ *   data-carousel-autoplay="6000"   ms per slide; off unless set
+ *   data-carousel-label="Results"   accessible name (default "Image carousel")
+ *
+ * Prev/next buttons, dots, swipe and arrow keys are only added when there is
+ * more than one slide. Autoplay pauses on hover, focus, hidden tabs, the
+ * pause button and reduced motion.
+ */
+const CarouselManager = (function () {
+  const SWIPE_THRESHOLD = 40;
+  const CHANGE_EVENT = 'carouselchange';
+  const ICONS = {
+    prev: '<svg viewBox="0 0 24 24" aria-hidden="true" focusable="false"><path d="M15.4 5.4 14 4l-8 8 8 8 1.4-1.4L8.8 12z"/></svg>',
+    next: '<svg viewBox="0 0 24 24" aria-hidden="true" focusable="false"><path d="M8.6 5.4 10 4l8 8-8 8-1.4-1.4 6.6-6.6z"/></svg>',
+  };
+
+  const instances = new Map();
+  let uid = 0;
+
+  function initialize() {
+    const roots = new Set();
+    document.querySelectorAll('.carousel-slide').forEach((slide) => roots.add(slide.parentElement));
+    roots.forEach((root) => create(root));
+  }
+
+  function findCaptions(root) {
+    const scope = root.closest('.projectThumbnail') || root.parentElement;
+    const container = scope ? scope.querySelector('.carousel-captions-container') : null;
+    return {
+      container,
+      captions: container ? Array.from(container.querySelectorAll('.carousel-caption')) : [],
+    };
+  }
+
+  function create(root) {
+    if (!root || instances.has(root)) return instances.get(root);
+
+    const slides = Array.from(root.children).filter((el) => el.classList.contains('carousel-slide'));
+    if (slides.length === 0) return null;
+
+    const { container, captions } = findCaptions(root);
+    const activeIndex = slides.findIndex((slide) => slide.classList.contains('active'));
+    const state = {
+      root,
+      slides,
+      captions,
+      captionsContainer: container,
+      index: Math.max(0, activeIndex),
+      autoplay: parseFloat(root.dataset.carouselAutoplay) || 0,
+      timerId: null,
+      pauseReasons: new Set(),
+      dots: [],
+      toggle: null,
+      cleanup: [],
+    };
+    instances.set(root, state);
+
+    root.classList.add('is-carousel');
+
+    if (slides.length > 1) {
+      const id = `carousel-${++uid}`;
+      root.setAttribute('role', 'region');
+      root.setAttribute('aria-roledescription', 'carousel');
+      if (!root.hasAttribute('aria-label')) {
+        root.setAttribute('aria-label', root.dataset.carouselLabel || 'Image carousel');
       }
-    });
+      root.tabIndex = 0;
+
+      slides.forEach((slide, i) => {
+        if (!slide.id) slide.id = `${id}-slide-${i + 1}`;
+        slide.setAttribute('role', 'group');
+        slide.setAttribute('aria-roledescription', 'slide');
+        slide.setAttribute('aria-label', `${i + 1} of ${slides.length}`);
+      });
+
+      createControls(state);
+      bindInput(state);
+      if (state.autoplay > 0) setupAutoplay(state);
+    }
+
+    show(state, state.index, { silent: true });
+    return state;
   }
 
-  function simpleReveal(element) {
-    if (!element.classList.contains('hidden-init')) return;
+  function createControls(state) {
+    const nav = document.createElement('div');
+    nav.className = 'carousel-nav-container';
+
+    ['prev', 'next'].forEach((direction) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `carousel-nav ${direction}`;
+      button.setAttribute('aria-label', direction === 'prev' ? 'Previous slide' : 'Next slide');
+      button.innerHTML = ICONS[direction];
+      button.addEventListener('click', () => step(state, direction === 'prev' ? -1 : 1));
+      nav.appendChild(button);
+    });
 
-    element.animate(
-      [
-        { opacity: 0, transform: 'translateY(40px)' },
-        { opacity: 1, transform: 'translateY(0)' },
-      ],
-      {
-        duration: 600,
-        fill: 'forwards',
-        easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+    const dots = document.createElement('div');
+    dots.className = 'carousel-dots';
+    state.slides.forEach((slide, i) => {
+      const dot = document.createElement('button');
+      dot.type = 'button';
+      dot.className = 'carousel-dot';
+      dot.setAttribute('aria-label', `Show slide ${i + 1}`);
+      dot.setAttribute('aria-controls', slide.id);
+      dot.addEventListener('click', () => show(state, i));
+      dots.appendChild(dot);
+      state.dots.push(dot);
+    });
+
+    state.root.append(nav, dots);
+    state.cleanup.push(() => {
+      nav.remove();
+      dots.remove();
+    });
+  }
+
+  function bindInput(state) {
+    const { root } = state;
+
+    const onKeydown = (e) => {
+      const moves = { ArrowLeft: -1, ArrowRight: 1 };
+      if (e.key in moves) {
+        e.preventDefault();
+        step(state, moves[e.key]);
+      } else if (e.key === 'Home' || e.key === 'End') {
+        e.preventDefault();
+        show(state, e.key === 'Home' ? 0 : state.slides.length - 1);
+      } else {
+        return;
       }
-    ).onfinish = () => {
-      element.style.opacity = '1';
-      element.style.transform = 'translateY(0)';
+      // Keep focus on the dot row so arrows can walk it
+      if (e.target.closest('.carousel-dot')) state.dots[state.index].focus();
     };
 
-    element.classList.remove('hidden-init');
+    // Horizontal swipe; vertical drags are left to the page (touch-action: pan-y)
+    let start = null;
+    const onPointerDown = (e) => {
+      if (e.pointerType === 'mouse' || e.target.closest('button')) return;
+      start = { x: e.clientX, y: e.clientY };
+    };
+    const onPointerUp = (e) => {
+      if (!start) return;
+      const dx = e.clientX - start.x;
+      const dy = e.clientY - start.y;
+      start = null;
+      if (Math.abs(dx) < SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy)) return;
+      step(state, dx < 0 ? 1 : -1);
+    };
+    const onPointerCancel = () => { start = null; };
+
+    root.addEventListener('keydown', onKeydown);
+    root.addEventListener('pointerdown', onPointerDown);
+    root.addEventListener('pointerup', onPointerUp);
+    root.addEventListener('pointercancel', onPointerCancel);
+    state.cleanup.push(() => {
+      root.removeEventListener('keydown', onKeydown);
+      root.removeEventListener('pointerdown', onPointerDown);
+      root.removeEventListener('pointerup', onPointerUp);
+      root.removeEventListener('pointercancel', onPointerCancel);
+    });
   }
 
-  function projectPageDescriptionReveal(section) {
-    if (!section.classList.contains('hidden-init')) return;
+  function setupAutoplay(state) {
+    const { root } = state;
 
-    // Animate the main section container
-    const sectionAnim = section.animate(
-      [
-        { opacity: 0, transform: 'translateY(40px)' },
-        { opacity: 1, transform: 'translateY(0)' },
-      ],
-      {
-        duration: 600,
-        fill: 'forwards',
-        easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
-      }
-    );
+    const holdWhile = (reason, onEvent, offEvent) => {
+      const on = () => pauseFor(state, reason);
+      const off = (e) => {
+        // Focus moving between the carousel's own controls isn't leaving it
+        if (e.type === 'focusout' && root.contains(e.relatedTarget)) return;
+        resumeFor(state, reason);
+      };
+      root.addEventListener(onEvent, on);
+      root.addEventListener(offEvent, off);
+      state.cleanup.push(() => {
+        root.removeEventListener(onEvent, on);
+        root.removeEventListener(offEvent, off);
+      });
+    };
+    holdWhile('hover', 'mouseenter', 'mouseleave');
+    holdWhile('focus', 'focusin', 'focusout');
 
-    sectionAnim.onfinish = () => {
-      section.style.opacity = '1';
-      section.style.transform = 'translateY(0)';
+    const onVisibility = () => {
+      if (document.hidden) pauseFor(state, 'hidden');
+      else resumeFor(state, 'hidden');
     };
+    document.addEventListener('visibilitychange', onVisibility);
+    state.cleanup.push(() => document.removeEventListener('visibilitychange', onVisibility));
+    if (document.hidden) state.pauseReasons.add('hidden');
+
+    state.cleanup.push(MotionManager.subscribe(({ reduced }) => {
+      if (reduced) pauseFor(state, 'motion');
+      else resumeFor(state, 'motion');
+    }));
+
+    // WCAG 2.2.2: a visible control to stop the movement
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'carousel-toggle';
+    toggle.addEventListener('click', () => {
+      if (state.pauseReasons.has('user')) resumeFor(state, 'user');
+      else pauseFor(state, 'user');
+    });
+    root.appendChild(toggle);
+    state.toggle = toggle;
+    state.cleanup.push(() => toggle.remove());
 
-    section.classList.remove('hidden-init');
+    updateToggle(state);
+    schedule(state);
+  }
 
-    // Animate the line separator with a slight delay
-    const lineSeparator = section.querySelector('.lineSeparator');
-    if (lineSeparator) {
-      lineSeparator.style.opacity = '0';
-      setTimeout(() => {
-        const sepAnim = lineSeparator.animate(
-          [
-            { opacity: 0, transform: 'translateY(20px)' },
-            { opacity: 1, transform: 'translateY(0)' },
-          ],
-          {
-            duration: 500,
-            fill: 'forwards',
-            easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
-          }
-        );
-        sepAnim.onfinish = () => {
-          lineSeparator.style.opacity = '1';
-          lineSeparator.style.transform = 'translateY(0)';
-        };
-      }, 50);
+  function updateToggle(state) {
+    if (state.toggle) {
+      const paused = state.pauseReasons.has('user');
+      state.toggle.textContent = paused ? 'Play' : 'Pause';
+      state.toggle.setAttribute('aria-label', paused ? 'Start slide rotation' : 'Stop slide rotation');
+    }
+    // Announce slide changes only while the visitor is driving them
+    if (state.captionsContainer) {
+      const rotating = state.autoplay > 0 && state.pauseReasons.size === 0;
+      state.captionsContainer.setAttribute('aria-live', rotating ? 'off' : 'polite');
     }
+  }
 
-    // Animate section title if present
-    const sectionTitle = section.querySelector('.sectionTitleText');
-    if (sectionTitle) {
-      sectionTitle.style.opacity = '0';
-      setTimeout(() => {
-        const titleAnim = sectionTitle.animate(
-          [
-            { opacity: 0, transform: 'translateY(20px)' },
-            { opacity: 1, transform: 'translateY(0)' },
-          ],
-          {
-            duration: 500,
-            fill: 'forwards',
-            easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
-          }
-        );
-        titleAnim.onfinish = () => {
-          sectionTitle.style.opacity = '1';
-          sectionTitle.style.transform = 'translateY(0)';
-        };
-      }, 100);
+  function pauseFor(state, reason) {
+    state.pauseReasons.add(reason);
+    clearTimeout(state.timerId);
+    state.timerId = null;
+    updateToggle(state);
+  }
+
+  function resumeFor(state, reason) {
+    state.pauseReasons.delete(reason);
+    updateToggle(state);
+    schedule(state);
+  }
+
+  function schedule(state) {
+    clearTimeout(state.timerId);
+    state.timerId = null;
+    if (state.autoplay <= 0 || state.pauseReasons.size > 0) return;
+    state.timerId = setTimeout(() => {
+      show(state, state.index + 1, { source: 'autoplay' });
+    }, state.autoplay);
+  }
+
+  function step(state, delta) {
+    show(state, state.index + delta);
+  }
+
+  function show(state, index, { silent = false, source = 'user' } = {}) {
+    const count = state.slides.length;
+    const next = ((index % count) + count) % count;
+    const changed = next !== state.index;
+    state.index = next;
+
+    state.slides.forEach((slide, i) => {
+      const active = i === next;
+      slide.classList.toggle('active', active);
+      if (count > 1) {
+        slide.setAttribute('aria-hidden', String(!active));
+        slide.inert = !active;
+      }
+    });
+    state.captions.forEach((caption, i) => {
+      caption.classList.toggle('active', i === next);
+    });
+    state.dots.forEach((dot, i) => {
+      if (i === next) dot.setAttribute('aria-current', 'true');
+      else dot.removeAttribute('aria-current');
+    });
+
+    schedule(state);
+
+    if (!silent && changed) {
+      state.root.dispatchEvent(new CustomEvent(CHANGE_EVENT, {
+        bubbles: true,
+        detail: { index: next, count, source },
+      }));
+    }
+  }
+
+  function goTo(root, index) {
+    const state = instances.get(root);
+    if (state) show(state, index);
+  }
+
+  function destroy(root) {
+    const state = instances.get(root);
+    if (!state) return;
+    clearTimeout(state.timerId);
+    state.cleanup.forEach((fn) => fn());
+    state.root.classList.remove('is-carousel');
+    instances.delete(root);
+  }
+
+  return { initialize, create, goTo, destroy };
+})();
+
+// -----------------------------------------------------------------------------
+// 5.3 Lottie Logo Manager
+// -----------------------------------------------------------------------------
+/**
+ * The nav logo is one Lottie file recoloured from theme tokens: fills take
+ * --logo-ink, strokes take --accent. The JSON is fetched once and each
+ * palette's animation is kept, so a theme or variant change swaps layers
+ * instantly and carries over the current frame.
+ *
+ * The container holds a static `.logo-fallback` SVG that stays up until the
+ * first animation is ready, and for good if the player or JSON fails to load.
+ */
+const LottieLogoManager = (function () {
+  const SOURCE_PATH = '/assets/nav-logo-light_big-lottie.json';
+
+  let lottieLogoContainer = null;
+  let sourceData = null;
+  const palettes = new Map(); // palette key -> { animation, layer, ready }
+  let current = null;
+  let requested = null;
+  let isPlaying = false;
+
+  function initialize() {
+    lottieLogoContainer = document.getElementById('lottie-logo-container');
+
+    if (!lottieLogoContainer) {
+      return;
     }
 
-    // Animate each paragraph with staggered delays
-    const paragraphs = section.querySelectorAll('.paragraph-section');
-    paragraphs.forEach((paragraph, index) => {
-      paragraph.style.opacity = '0';
-      setTimeout(() => {
-        const paraAnim = paragraph.animate(
-          [
-            { opacity: 0, transform: 'translateY(30px)' },
-            { opacity: 1, transform: 'translateY(0)' },
-          ],
-          {
-            duration: 600,
-            fill: 'forwards',
-            easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
-          }
-        );
-        paraAnim.onfinish = () => {
-          paragraph.style.opacity = '1';
-          paragraph.style.transform = 'translateY(0)';
-        };
-      }, 200 + index * 80);
+    setTimeout(() => lottieLogoContainer.classList.add('is-visible'), 100);
+
+    const data = fetch(SOURCE_PATH).then((response) => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
     });
-  }
 
-  function triggerAnimation(section) {
-    if (section.classList.contains('component-description')) {
-      animateDescriptionSection(section);
-    } else if (section.classList.contains('component-experience')) {
-      animateExperienceSection(section);
-    } else if (section.classList.contains('component-textSection')) {
-      animateTextSection(section);
-    } else {
-      animateGenericSection(section);
-    }
-  }
+    Promise.all([loadLottiePlayer(), data])
+      .then(([, json]) => {
+        sourceData = json;
+        // Subscribing replays the current theme, which performs the first load
+        ThemeManager.subscribe(onThemeChange);
+      })
+      .catch((error) => {
+        // The inline SVG stays visible until is-animated is set, so there's nothing to switch
+        console.warn('[LottieLogoManager] Showing the static logo:', error);
+      });
 
-  function animateGenericSection(section) {
-    if (!section.classList.contains('hidden-init')) return;
-    section.animate(
-      [
-        { opacity: 0, transform: 'translateY(80px)' },
-        { opacity: 1, transform: 'translateY(0)' },
-      ],
-      {
-        duration: 700,
-        fill: 'forwards',
-        easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+    lottieLogoContainer.addEventListener('mouseenter', () => {
+      if (isPlaying || !current) {
+        return;
       }
-    );
-    section.classList.remove('hidden-init');
+      isPlaying = true;
+      current.animation.goToAndPlay(0, true);
+    });
   }
 
-  function animateDescriptionSection(section) {
-    // For home page, check if already revealed
-    if (!section.classList.contains('hidden-init') || section.dataset.revealed === '1') return;
-
-    // Animate the section itself
-    animateGenericSection(section);
+  function onThemeChange() {
+    if (!sourceData) return;
+    const palette = readPalette();
+    showPalette(palette);
+  }
 
-    // Hide the chevron when the description enters
-    const carat = document.querySelector('.component-banner .carat');
-    if (carat) carat.classList.remove('visible');
+  function readPalette() {
+    const rootStyles = getComputedStyle(document.documentElement);
+    const ink = toLottieColor(rootStyles.getPropertyValue('--logo-ink').trim());
+    const accent = toLottieColor(rootStyles.getPropertyValue('--accent').trim());
+    return { ink, accent, key: `${ink}|${accent}` };
+  }
 
-    const lineSeparator = section.querySelector('.lineSeparator');
-    if (lineSeparator) {
-      lineSeparator.style.opacity = '0';
-      lineSeparator.animate(
-        [
-          { opacity: 0, transform: 'translateY(40px)' },
-          { opacity: 1, transform: 'translateY(0)' },
-        ],
-        {
-          duration: 700,
-          delay: 100,
-          fill: 'forwards',
-          easing: 'cubic-bezier(0.645,0.045,0.355,1)',
-        }
-      );
+  function showPalette(palette) {
+    let entry = palettes.get(palette.key);
+    if (!entry) {
+      entry = createPaletteAnimation(palette);
+      palettes.set(palette.key, entry);
     }
+    requested = entry;
 
-    const paragraphs = section.querySelectorAll('.paragraph-section');
-    paragraphs.forEach((paragraph, index) => {
-      paragraph.style.opacity = '0';
-      paragraph.animate(
-        [
-          { opacity: 0, transform: 'translateY(40px)' },
-          { opacity: 1, transform: 'translateY(0)' },
-        ],
-        {
-          duration: 700,
-          delay: 200 + index * 150,
-          fill: 'forwards',
-          easing: 'cubic-bezier(0.645,0.045,0.355,1)',
-        }
-      );
+    entry.ready.then(() => {
+      if (requested !== entry || current === entry) return;
+
+      // Pick up where the visible logo is, playing or not
+      const frame = current ? current.animation.currentFrame : 0;
+      if (isPlaying) entry.animation.goToAndPlay(frame, true);
+      else entry.animation.goToAndStop(frame, true);
+
+      if (current) {
+        current.animation.pause();
+        current.layer.classList.remove('is-active');
+      }
+      entry.layer.classList.add('is-active');
+      lottieLogoContainer.classList.add('is-animated');
+      current = entry;
     });
   }
 
-  function animateTextSection(section) {
-    animateGenericSection(section);
-    const container = section.querySelector('.rightColumnContainer');
-    if (!container) return;
+  function createPaletteAnimation(palette) {
+    const layer = document.createElement('div');
+    layer.className = 'lottie-logo-layer';
+    lottieLogoContainer.appendChild(layer);
 
-    const elementsToAnimate = container.querySelectorAll('.sectionBody, .quoteSection');
+    const animation = lottie.loadAnimation({
+      container: layer,
+      renderer: 'canvas',
+      loop: false,
+      autoplay: false,
+      animationData: recolor(sourceData, palette)
+    });
 
-    console.log('About section animation triggered');
-    console.log('Found elements to animate:', elementsToAnimate.length);
+    animation.addEventListener('complete', () => {
+      if (current && current.animation === animation) isPlaying = false;
+    });
 
-    elementsToAnimate.forEach((el, index) => {
-      console.log(`Element ${index}:`, el.className);
-      console.log(`Has hidden-init:`, el.classList.contains('hidden-init'));
+    const ready = new Promise((resolve) => {
+      if (animation.isLoaded) resolve();
+      else animation.addEventListener('DOMLoaded', resolve);
+    });
 
-      if (!el.classList.contains('hidden-init')) {
-        console.log('PROBLEM: Skipping element without hidden-init');
+    return { animation, layer, ready };
+  }
+
+  // Deep copy with every static fill/stroke colour replaced
+  function recolor(data, palette) {
+    const copy = JSON.parse(JSON.stringify(data));
+    (function walk(node) {
+      if (Array.isArray(node)) {
+        node.forEach(walk);
         return;
       }
+      if (!node || typeof node !== 'object') return;
 
-      const anim = el.animate(
-        [
-          { opacity: 0, transform: 'translateY(40px)' },
-          { opacity: 1, transform: 'translateY(0)' },
-        ],
-        {
-          duration: 700,
-          delay: 200 + index * 150,
-          fill: 'forwards',
-          easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
-        }
-      );
+      if ((node.ty === 'fl' || node.ty === 'st') && node.c && !node.c.a) {
+        const [r, g, b] = node.ty === 'fl' ? palette.ink : palette.accent;
+        node.c.k = [r, g, b, 1];
+      }
+      Object.values(node).forEach(walk);
+    })(copy);
+    return copy;
+  }
 
-      anim.onfinish = () => {
-        el.classList.remove('hidden-init');
-        el.style.opacity = '1';
-        el.style.transform = 'translateY(0)';
-        console.log(`Animation finished for element ${index}`);
-      };
-    });
+  // Any CSS colour -> Lottie's [r, g, b] in 0-1
+  function toLottieColor(cssColor) {
+    const ctx = document.createElement('canvas').getContext('2d');
+    ctx.fillStyle = '#000';
+    ctx.fillStyle = cssColor || '#000';
+    const value = ctx.fillStyle;
+
+    if (value.startsWith('#')) {
+      return [1, 3, 5].map((i) => Math.round((parseInt(value.slice(i, i + 2), 16) / 255) * 1000) / 1000);
+    }
+    const channels = value.match(/[\d.]+/g) || [0, 0, 0];
+    return channels.slice(0, 3).map((n) => Math.round((Number(n) / 255) * 1000) / 1000);
   }
 
-  function animateExperienceSection(section) {
-    animateGenericSection(section);
+  return { initialize };
+})();
 
-    const experienceTitle = section.querySelector('.experienceTitleText');
-    if (experienceTitle) {
-      experienceTitle.style.transform = 'translateY(20px)';
-      experienceTitle.offsetHeight;
-      experienceTitle.animate(
-        [
-          { opacity: 0, transform: experienceTitle.style.transform },
-          { opacity: 1, transform: 'translateY(0)' },
-        ],
-        {
-          duration: 600,
-          delay: 100,
-          fill: 'forwards',
-          easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
-        }
-      );
+// -----------------------------------------------------------------------------
+// 5.4 Footer Components
+// -----------------------------------------------------------------------------
+const ChatIconAnimator = (function () {
+  function initialize() {
+    const footerCTA = document.querySelector('.footerCTA');
+    const chatIconSVG = document.querySelector('.chatIcon svg');
+
+    if (!footerCTA || !chatIconSVG) {
+      return;
     }
 
-    const experienceItems = section.querySelectorAll('.experienceItem');
-    experienceItems.forEach((item, index) => {
-      item.style.transform = 'translateY(80px)';
-      item.offsetHeight;
-      item.animate(
-        [
-          { opacity: 0, transform: item.style.transform },
-          { opacity: 1, transform: 'translateY(0)' },
-        ],
-        {
-          duration: 700,
-          delay: 200 + index * 150 + (experienceTitle ? 100 : 0),
-          fill: 'forwards',
-          easing: 'cubic-bezier(0.645, 0.045, 0.355, 1)',
-        }
-      );
+    footerCTA.addEventListener('mouseenter', () => {
+      if (!chatIconSVG.classList.contains('is-wiggling')) {
+        chatIconSVG.classList.add('is-wiggling');
+      }
+    });
+
+    chatIconSVG.addEventListener('animationend', () => {
+      chatIconSVG.classList.remove('is-wiggling');
     });
   }
 
-  function refresh() {
-    if (!sections) return;
-    sections.forEach((section) => {
-      if (!section.classList.contains('hidden-init')) return;
-      const rect = section.getBoundingClientRect();
-      const inViewport = rect.top < window.innerHeight && rect.bottom > 0;
-      if (inViewport) {
-        if (document.body.classList.contains('project-page')) {
-          if (section.classList.contains('component-description')) {
-            projectPageDescriptionReveal(section);
-          } else {
-            simpleReveal(section);
-          }
-        } else {
-          triggerAnimation(section);
+  return { initialize };
+})();
+
+const FooterLinkManager = (function () {
+  function initialize() {
+    const footerLinks = document.querySelectorAll('.component-footer a[href^="#"]');
+
+    footerLinks.forEach(link => {
+      link.addEventListener('click', function (event) {
+        event.preventDefault();
+
+        const targetId = this.getAttribute('href');
+        const targetElement = document.querySelector(targetId);
+
+        if (targetElement) {
+          smoothScrollTo(targetElement, 400);
         }
-        observer && observer.unobserve(section);
-      }
+      });
     });
   }
 
-  return {
-    initialize,
-    refresh,
-  };
+  return { initialize };
 })();
 
 // -----------------------------------------------------------------------------
-// 4.6 Rotating Words Manager - UPDATED TO PREVENT JUMP
+// 5.5 Image Lightbox
 // -----------------------------------------------------------------------------
-const RotatingWordsManager = (function () {
-  const START_DELAY_MS = 3200;
-  const STEP_EVERY_MS = 2400;
-  const TRANSITION_MS = 1600;
-  const PHRASES = [
-    '<span class="thin">problem</span> solver.',
-    '<span class="thin">systems</span> builder.',
-    '<span class="thin">curious</span> creative.'
-  ];
-
-  let currentWordIndex = 0;
-  let intervalId = null;
-  let container, inner;
-  let LINE_HEIGHT = 54;
-  let COUNT = 0;
-  let isAnimating = false;
-  let lastViewportWidth = 0;
+/**
+ * Opens case-study images (`.projectThumbnail .thumbnailImage`, except those
+ * inside links) full screen in a modal dialog. Wheel, pinch, double-click and
+ * +/- zoom; drag pans once zoomed; arrow keys step through the images in the
+ * same section. Closing returns focus to the image that opened it.
+ */
+const LightboxManager = (function () {
+  const SELECTOR = '.projectThumbnail .thumbnailImage';
+  const MIN_SCALE = 1;
+  const MAX_SCALE = 5;
+  const WHEEL_STEP = 0.0015;
+  const KEY_STEP = 1.25;
+  const DOUBLE_CLICK_SCALE = 2.5;
+  const DRAG_CLICK_TOLERANCE = 4;
+
+  let dialog = null;
+  let els = {};
+  let group = [];
+  let index = 0;
+  let opener = null;
+  const view = { scale: 1, x: 0, y: 0 };
+  const pointers = new Map();
+  let gesture = null;
+  let moved = false;
 
   function initialize() {
-    if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+    const images = Array.from(document.querySelectorAll(SELECTOR))
+      .filter((img) => !img.closest('a[href]'));
+    if (images.length === 0) return;
+
+    images.forEach((img) => {
+      img.tabIndex = 0;
+      img.setAttribute('role', 'button');
+      img.setAttribute('aria-haspopup', 'dialog');
+      img.setAttribute('aria-label', `View larger: ${img.alt || 'image'}`);
+      img.classList.add('is-zoomable');
+      img.addEventListener('click', () => open(img));
+      img.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          open(img);
+        }
+      });
+    });
+  }
 
-    // Don't initialize on project pages
-    if (document.body.classList.contains('project-page')) return;
+  function build() {
+    dialog = document.createElement('dialog');
+    dialog.className = 'lightbox';
+    dialog.setAttribute('aria-label', 'Image viewer');
+    dialog.innerHTML = `
+      <figure class="lightbox__figure">
+        <div class="lightbox__stage">
+          <img class="lightbox__image" alt="" draggable="false" />
+        </div>
+        <figcaption class="lightbox__caption"></figcaption>
+      </figure>
+      <p class="lightbox__counter" aria-live="polite"></p>
+      <div class="lightbox__controls">
+        <button type="button" class="lightbox__button" data-action="zoom-out" aria-label="Zoom out">&minus;</button>
+        <button type="button" class="lightbox__button" data-action="zoom-in" aria-label="Zoom in">+</button>
+        <button type="button" class="lightbox__button" data-action="close" aria-label="Close">&times;</button>
+      </div>
+      <button type="button" class="lightbox__nav prev" data-action="prev" aria-label="Previous image">&lsaquo;</button>
+      <button type="button" class="lightbox__nav next" data-action="next" aria-label="Next image">&rsaquo;</button>
+    `;
+
+    els = {
+      stage: dialog.querySelector('.lightbox__stage'),
+      image: dialog.querySelector('.lightbox__image'),
+      caption: dialog.querySelector('.lightbox__caption'),
+      counter: dialog.querySelector('.lightbox__counter'),
+      prev: dialog.querySelector('.lightbox__nav.prev'),
+      next: dialog.querySelector('.lightbox__nav.next'),
+    };
+
+    dialog.addEventListener('click', onClick);
+    dialog.addEventListener('keydown', onKeydown);
+    dialog.addEventListener('close', onClose);
+    els.stage.addEventListener('wheel', onWheel, { passive: false });
+    els.stage.addEventListener('pointerdown', onPointerDown);
+    els.stage.addEventListener('pointermove', onPointerMove);
+    els.stage.addEventListener('pointerup', onPointerUp);
+    els.stage.addEventListener('pointercancel', onPointerUp);
+    els.stage.addEventListener('dblclick', onDoubleClick);
+
+    document.body.appendChild(dialog);
+  }
+
+  // Images that share the opener's section, in document order
+  function collectGroup(img) {
+    const section = img.closest('section, .component-projectGrid') || document.body;
+    return Array.from(section.querySelectorAll(SELECTOR))
+      .filter((el) => !el.closest('a[href]'));
+  }
+
+  function captionFor(img) {
+    const thumb = img.closest('.projectThumbnail');
+    if (!thumb) return '';
+
+    // Carousel slides pair with the caption at the same position
+    const slide = img.closest('.carousel-slide');
+    const captions = Array.from(thumb.querySelectorAll('.carousel-caption'));
+    if (slide && captions.length) {
+      const slides = Array.from(slide.parentElement.children)
+        .filter((el) => el.classList.contains('carousel-slide'));
+      const caption = captions[slides.indexOf(slide)] || captions[0];
+      return caption.textContent.trim();
+    }
+
+    const description = thumb.querySelector('.imageDescription');
+    return description ? description.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  function open(img) {
+    if (!dialog) build();
+    opener = img;
+    group = collectGroup(img);
+    index = Math.max(0, group.indexOf(img));
+
+    show(index);
+    document.documentElement.classList.add('lightbox-open');
+    dialog.showModal();
+
+    MotionManager.animate(
+      dialog,
+      [
+        { opacity: 0, transform: 'scale(0.98)' },
+        { opacity: 1, transform: 'scale(1)' },
+      ],
+      { duration: 250, easing: 'cubic-bezier(0.25, 1, 0.5, 1)' }
+    );
+  }
+
+  function close() {
+    if (dialog && dialog.open) dialog.close();
+  }
 
-    const slot = document.getElementById('rotating-slot');
-    if (!slot) return;
+  function onClose() {
+    document.documentElement.classList.remove('lightbox-open');
+    pointers.clear();
+    gesture = null;
+    if (opener && opener.isConnected) opener.focus();
+    opener = null;
+  }
 
-    setTimeout(() => {
-      container = document.createElement('span');
-      container.className = 'rotating-words';
+  function show(i) {
+    const count = group.length;
+    index = ((i % count) + count) % count;
+    const img = group[index];
 
-      inner = document.createElement('span');
-      inner.className = 'rotating-words-inner';
+    els.image.src = img.currentSrc || img.src;
+    els.image.alt = img.alt || '';
+    els.caption.textContent = captionFor(img);
+    els.caption.hidden = !els.caption.textContent;
+    els.counter.textContent = count > 1 ? `${index + 1} / ${count}` : '';
+    els.prev.hidden = count < 2;
+    els.next.hidden = count < 2;
 
-      PHRASES.forEach(text => {
-        const item = document.createElement('span');
-        item.className = 'rotating-word';
-        item.innerHTML = text; // Changed from textContent to innerHTML
-        inner.appendChild(item);
-      });
+    resetView();
+  }
 
-      inner.appendChild(inner.children[0].cloneNode(true));
-      container.appendChild(inner);
+  // ----- zoom & pan -----
 
-      slot.replaceWith(container);
-      COUNT = PHRASES.length;
+  function resetView() {
+    view.scale = 1;
+    view.x = 0;
+    view.y = 0;
+    render();
+  }
 
-      updateLineHeight();
-      lastViewportWidth = window.innerWidth;
-      startLoop();
+  function clampPan() {
+    const maxX = Math.max(0, (els.image.offsetWidth * view.scale - els.stage.clientWidth) / 2);
+    const maxY = Math.max(0, (els.image.offsetHeight * view.scale - els.stage.clientHeight) / 2);
+    view.x = Math.min(maxX, Math.max(-maxX, view.x));
+    view.y = Math.min(maxY, Math.max(-maxY, view.y));
+  }
 
-      // Immediate response to resize
-      window.addEventListener('resize', () => {
-        // Don't run on project pages
-        if (document.body.classList.contains('project-page')) return;
-        if (!container || !inner) return;
+  function render() {
+    clampPan();
+    els.image.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+    els.stage.classList.toggle('is-zoomed', view.scale > MIN_SCALE);
+  }
 
-        const newWidth = window.innerWidth;
-        const oldBreakpoint = getBreakpoint(lastViewportWidth);
-        const newBreakpoint = getBreakpoint(newWidth);
+  /** Zooms to `scale`, keeping the stage point (clientX, clientY) in place. */
+  function zoomTo(scale, clientX, clientY) {
+    const next = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+    const rect = els.stage.getBoundingClientRect();
+    const px = (clientX ?? rect.left + rect.width / 2) - (rect.left + rect.width / 2);
+    const py = (clientY ?? rect.top + rect.height / 2) - (rect.top + rect.height / 2);
+    const ratio = next / view.scale;
+
+    view.x = px - (px - view.x) * ratio;
+    view.y = py - (py - view.y) * ratio;
+    view.scale = next;
+    render();
+  }
 
-        // Only act if we crossed a breakpoint
-        if (oldBreakpoint !== newBreakpoint) {
-          // Immediately update line height
-          updateLineHeight();
+  function onWheel(e) {
+    e.preventDefault();
+    zoomTo(view.scale * Math.exp(-e.deltaY * WHEEL_STEP), e.clientX, e.clientY);
+  }
 
-          // Instantly reposition without animation
-          inner.style.transition = 'none';
-          inner.style.transform = `translateY(-${currentWordIndex * LINE_HEIGHT}px)`;
+  function onDoubleClick(e) {
+    zoomTo(view.scale > MIN_SCALE ? MIN_SCALE : DOUBLE_CLICK_SCALE, e.clientX, e.clientY);
+  }
 
-          // Force the browser to apply the change
-          inner.offsetHeight;
+  function pinchDistance() {
+    const [a, b] = Array.from(pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
 
-          // Re-enable transitions after a frame
-          requestAnimationFrame(() => {
-            inner.style.transition = `transform ${TRANSITION_MS}ms cubic-bezier(0.645, 0.045, 0.355, 1)`;
-          });
-        }
+  function pinchCenter() {
+    const [a, b] = Array.from(pointers.values());
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
 
-        lastViewportWidth = newWidth;
-      });
+  function onPointerDown(e) {
+    els.stage.setPointerCapture(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    moved = false;
 
-    }, START_DELAY_MS);
+    if (pointers.size === 2) {
+      gesture = { type: 'pinch', distance: pinchDistance(), scale: view.scale };
+    } else if (pointers.size === 1) {
+      gesture = { type: 'pan', x: e.clientX - view.x, y: e.clientY - view.y, startX: e.clientX, startY: e.clientY };
+    }
   }
 
-  function getBreakpoint(width) {
-    if (width >= 769) return 'desktop';
-    if (width >= 481) return 'tablet';
-    return 'mobile';
+  function onPointerMove(e) {
+    if (!pointers.has(e.pointerId)) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (!gesture) return;
+
+    if (gesture.type === 'pinch' && pointers.size === 2) {
+      const center = pinchCenter();
+      zoomTo(gesture.scale * (pinchDistance() / gesture.distance), center.x, center.y);
+      moved = true;
+    } else if (gesture.type === 'pan' && view.scale > MIN_SCALE) {
+      view.x = e.clientX - gesture.x;
+      view.y = e.clientY - gesture.y;
+      render();
+      if (Math.hypot(e.clientX - gesture.startX, e.clientY - gesture.startY) > DRAG_CLICK_TOLERANCE) moved = true;
+    }
   }
 
-  function updateLineHeight() {
-    const viewportWidth = window.innerWidth;
+  function onPointerUp(e) {
+    pointers.delete(e.pointerId);
+    if (pointers.size === 1) {
+      // Lifting one finger of a pinch continues as a pan from where it is
+      const [rest] = Array.from(pointers.values());
+      gesture = { type: 'pan', x: rest.x - view.x, y: rest.y - view.y, startX: rest.x, startY: rest.y };
+    } else if (pointers.size === 0) {
+      gesture = null;
+    }
+  }
 
-    if (viewportWidth >= 769) {
-      LINE_HEIGHT = 40;
-    } else if (viewportWidth >= 481) {
-      LINE_HEIGHT = 64;
-    } else {
-      LINE_HEIGHT = 54;
+  // ----- commands -----
+
+  function onClick(e) {
+    const action = e.target.closest('[data-action]');
+    if (action) {
+      const run = {
+        close,
+        prev: () => show(index - 1),
+        next: () => show(index + 1),
+        'zoom-in': () => zoomTo(view.scale * KEY_STEP),
+        'zoom-out': () => zoomTo(view.scale / KEY_STEP),
+      }[action.dataset.action];
+      if (run) run();
+      return;
     }
+
+    // A click on the backdrop (outside the image) closes, unless it ended a drag
+    if (!moved && !e.target.closest('.lightbox__image, .lightbox__caption')) close();
   }
 
-  function step() {
-    if (isAnimating) return; // Skip if already animating
+  function onKeydown(e) {
+    if (e.target.closest('button') && (e.key === 'Enter' || e.key === ' ')) return;
+
+    const commands = {
+      ArrowLeft: () => show(index - 1),
+      ArrowRight: () => show(index + 1),
+      '+': () => zoomTo(view.scale * KEY_STEP),
+      '=': () => zoomTo(view.scale * KEY_STEP),
+      '-': () => zoomTo(view.scale / KEY_STEP),
+      0: resetView,
+    };
+    const run = commands[e.key];
+    if (!run) return;
+    e.preventDefault();
+    run();
+  }
 
-    isAnimating = true;
-    currentWordIndex++;
+  return { initialize, open, close };
+})();
 
-    inner.style.transform = `translateY(-${currentWordIndex * LINE_HEIGHT}px)`;
+// -----------------------------------------------------------------------------
+// 5.6 Project Registry & Grid
+// -----------------------------------------------------------------------------
+/**
+ * The case studies live in one manifest (assets/projects.json), an array of:
+ *
+ *   { "slug": "design-lab",            folder under the site root
+ *     "title": "Design Lab",
+ *     "subtitle": "Other UX Projects",
+ *     "thumbnail": "/assets/images/t_ab.jpg",
+ *     "alt": "…",
+ *     "tags": ["Web"],
+ *     "year": 2019,
+ *     "featured": false,               featured cards span the full row
+ *     "order": 2 }                     ascending
+ *
+ * Entries that fail validation are reported and left out rather than
+ * rendered half-filled.
+ */
+const ProjectRegistry = (function () {
+  const MANIFEST_URL = '/assets/projects.json';
+  const SCHEMA = {
+    slug: (v) => typeof v === 'string' && /^[a-z0-9-]+$/.test(v),
+    title: (v) => typeof v === 'string' && v.trim() !== '',
+    subtitle: (v) => typeof v === 'string',
+    thumbnail: (v) => typeof v === 'string' && v.trim() !== '',
+    alt: (v) => typeof v === 'string' && v.trim() !== '',
+    tags: (v) => Array.isArray(v) && v.every((tag) => typeof tag === 'string' && tag.trim() !== ''),
+    year: (v) => Number.isInteger(v),
+    featured: (v) => typeof v === 'boolean',
+    order: (v) => typeof v === 'number' && Number.isFinite(v),
+  };
 
-    if (currentWordIndex === COUNT) {
-      setTimeout(() => {
-        inner.style.transition = 'none';
-        inner.style.transform = 'translateY(0)';
-        currentWordIndex = 0;
-        void inner.offsetHeight;
-        inner.style.transition = `transform ${TRANSITION_MS}ms cubic-bezier(0.645, 0.045, 0.355, 1)`;
-        isAnimating = false;
-      }, TRANSITION_MS);
-    } else {
-      setTimeout(() => {
-        isAnimating = false;
-      }, TRANSITION_MS);
+  let manifest = null;
+
+  function validate(entry, index) {
+    const label = `[ProjectRegistry] Project #${index + 1}${entry && entry.slug ? ` (${entry.slug})` : ''}`;
+    if (!entry || typeof entry !== 'object') {
+      console.error(`${label} is not an object; skipping it.`, entry);
+      return false;
+    }
+
+    const invalid = Object.keys(SCHEMA).filter((key) => !SCHEMA[key](entry[key]));
+    if (invalid.length > 0) {
+      console.error(`${label} has missing or invalid ${invalid.map((key) => `"${key}"`).join(', ')}; skipping it.`, entry);
+      return false;
     }
+    return true;
   }
 
-  function startLoop() {
-    if (intervalId) clearInterval(intervalId);
-    intervalId = setInterval(step, STEP_EVERY_MS + TRANSITION_MS);
+  /** Resolves with the valid projects in display order (empty on failure). */
+  function load() {
+    if (manifest) return manifest;
+
+    manifest = fetch(MANIFEST_URL)
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then((data) => {
+        if (!Array.isArray(data)) throw new Error('manifest is not an array');
+
+        const seen = new Set();
+        return data
+          .filter((entry, index) => {
+            if (!validate(entry, index)) return false;
+            if (seen.has(entry.slug)) {
+              console.error(`[ProjectRegistry] Duplicate slug "${entry.slug}"; skipping project #${index + 1}.`);
+              return false;
+            }
+            seen.add(entry.slug);
+            return true;
+          })
+          .sort((a, b) => a.order - b.order);
+      })
+      .catch((error) => {
+        console.error(`[ProjectRegistry] Could not load ${MANIFEST_URL}:`, error);
+        return [];
+      });
+
+    return manifest;
   }
 
-  return { initialize };
+  function urlFor(project) {
+    return `/${project.slug}/`;
+  }
+
+  return { load, urlFor };
 })();
 
-// =============================================================================
-// 5. UI COMPONENTS (Rest of the file remains the same)
-// =============================================================================
+/**
+ * Renders `[data-project-grid]` from the registry with the hand-written card
+ * markup: featured projects as full-width cards, the rest two per row.
+ */
+const ProjectGrid = (function () {
+  function createCard(project) {
+    const link = document.createElement('a');
+    link.href = ProjectRegistry.urlFor(project);
+    link.className = 'project-link';
+    link.dataset.project = project.slug;
+    link.dataset.filterItem = '';
+    link.dataset.tags = project.tags.join('|');
+    link.innerHTML = `
+      <article class="projectThumbnail">
+        <div class="projectThumbnail-inner">
+          <div class="thumbnailImage-container-for-zoom">
+            <img class="thumbnailImage" loading="lazy" />
+          </div>
+          <div class="projectThumbnail-Title">
+            <p class="projectTitle"></p>
+            <p class="projectSubTitle soft"></p>
+          </div>
+        </div>
+      </article>
+    `;
+
+    // Text goes in through properties so manifest content is never parsed as HTML
+    const img = link.querySelector('.thumbnailImage');
+    img.src = project.thumbnail;
+    img.alt = project.alt;
+    link.querySelector('.projectTitle').textContent = project.title;
+    link.querySelector('.projectSubTitle').textContent = project.subtitle;
+    return link;
+  }
 
-// -----------------------------------------------------------------------------
-// 5.1 Experience Accordion
-// -----------------------------------------------------------------------------
-const ExperienceManager = (function () {
-  function initialize() {
-    const experienceItems = document.querySelectorAll('.experienceItem');
-    experienceItems.forEach((item) => {
-      const container = item.querySelector('.experienceItem-container');
-      const bodyText = item.querySelector('.experienceItem-bodyText');
-      if (!container || !bodyText) return;
-
-      container.setAttribute('aria-expanded', 'false');
-      bodyText.setAttribute('aria-hidden', 'true');
-      if (!container.hasAttribute('tabindex')) container.setAttribute('tabindex', '0');
-
-      container.addEventListener('click', toggleExperienceItem);
-      container.addEventListener('keydown', (event) => {
-        if (event.key === 'Enter' || event.key === ' ') {
-          event.preventDefault();
-          toggleExperienceItem.call(container, event);
-        }
-      });
+  function createRow(cards) {
+    const row = document.createElement('div');
+    row.className = 'columns';
+    ['leftColumnContainer', 'rightColumnContainer'].forEach((className, i) => {
+      const column = document.createElement('div');
+      column.className = className;
+      if (cards[i]) column.appendChild(cards[i]);
+      row.appendChild(column);
     });
+    return row;
   }
 
-  function toggleExperienceItem() {
-    const experienceItem = this.closest('.experienceItem');
-    if (!experienceItem) return;
+  function layout(grid, entries) {
+    const fragment = document.createDocumentFragment();
+    let pair = [];
+    const flushPair = () => {
+      if (pair.length) fragment.appendChild(createRow(pair));
+      pair = [];
+    };
+
+    entries.forEach(({ project, card }) => {
+      if (project.featured) {
+        flushPair();
+        fragment.appendChild(card);
+        return;
+      }
+      pair.push(card);
+      if (pair.length === 2) flushPair();
+    });
+    flushPair();
 
-    const bodyText = experienceItem.querySelector('.experienceItem-bodyText');
-    if (!bodyText) return;
+    grid.replaceChildren(fragment);
+  }
 
-    const isExpanded = this.getAttribute('aria-expanded') === 'true';
+  function render(grid, projects) {
+    const entries = projects.map((project) => ({ project, card: createCard(project) }));
+    layout(grid, entries);
 
-    if (isExpanded) {
-      this.setAttribute('aria-expanded', 'false');
-      bodyText.setAttribute('aria-hidden', 'true');
-      experienceItem.classList.remove('is-expanded');
-      bodyText.style.maxHeight = '0';
-    } else {
-      this.setAttribute('aria-expanded', 'true');
-      bodyText.setAttribute('aria-hidden', 'false');
-      experienceItem.classList.add('is-expanded');
-      requestAnimationFrame(() => {
-        const paddingBuffer = 32;
-        bodyText.style.maxHeight = `${bodyText.scrollHeight + paddingBuffer}px`;
-      });
-    }
+    // Filtering re-pairs the remaining cards instead of leaving gaps (see FilterManager)
+    grid.addEventListener('filterchange', (event) => {
+      const visible = new Set(event.detail.visible);
+      layout(grid, entries.filter(({ card }) => visible.has(card)));
+    });
+  }
+
+  /** Resolves once the grid (if the page has one) is in the DOM. */
+  function initialize() {
+    const grid = document.querySelector('[data-project-grid]');
+    if (!grid) return Promise.resolve();
+
+    return ProjectRegistry.load().then((projects) => {
+      if (projects.length === 0) {
+        console.error('[ProjectGrid] No valid projects to render.');
+        return;
+      }
+      render(grid, projects);
+    });
   }
 
   return { initialize };
 })();
 
 // -----------------------------------------------------------------------------
-// 5.3 Lottie Logo Manager
+// 5.7 Project Filter
 // -----------------------------------------------------------------------------
-const LottieLogoManager = (function () {
-  let logoAnimation = null;
-  let lottieLogoContainer = null;
-  let isPlaying = false;
-  const lightModePath = '/assets/nav-logo-light_big-lottie.json';
-  const darkModePath = '/assets/nav-logo-dark_big-lottie.json';
+/**
+ * Tag chips and a text search for any `[data-filter]` list. Its items are the
+ * `[data-filter-item]` elements inside, tagged with `data-tags="A|B"`; search
+ * matches tags and visible text. The bar is inserted just before the list and
+ * the choice is mirrored in the URL (?tag=Healthcare&q=portal).
+ *
+ * Matching items move to their new places with a FLIP animation. Lists that lay
+ * themselves out (the home grid) listen for `filterchange` on the container,
+ * which fires after items are shown or hidden and before positions are measured.
+ * Its `detail.settled` promise resolves once the FLIP animations have finished.
+ */
+const FilterManager = (function () {
+  const TAG_PARAM = 'tag';
+  const QUERY_PARAM = 'q';
+  const SEARCH_DELAY = 150;
+  const EASE = 'cubic-bezier(0.645, 0.045, 0.355, 1)';
 
-  function loadAnimationByTheme() {
-    const isDarkMode = document.documentElement.classList.contains('dark-mode');
+  let instance = null;
 
-    if (logoAnimation) {
-      logoAnimation.destroy();
-    }
+  function initialize() {
+    const container = document.querySelector('[data-filter]');
+    if (!container) return;
 
-    isPlaying = false;
+    const items = Array.from(container.querySelectorAll('[data-filter-item]'));
+    if (items.length === 0) return;
+
+    const params = new URLSearchParams(window.location.search);
+    instance = {
+      container,
+      items,
+      tags: collectTags(items),
+      tag: null,
+      query: (params.get(QUERY_PARAM) || '').trim(),
+      chips: [],
+    };
+    const requestedTag = params.get(TAG_PARAM);
+    instance.tag = instance.tags.find((tag) => tag.toLowerCase() === (requestedTag || '').toLowerCase()) || null;
 
-    logoAnimation = lottie.loadAnimation({
-      container: lottieLogoContainer,
-      renderer: 'canvas',
-      loop: false,
-      autoplay: false,
-      path: isDarkMode ? darkModePath : lightModePath
+    buildBar(instance);
+
+    // Runs after any list's own re-layout listener; scroll effects cache
+    // document positions, so re-measure once the cards have settled
+    container.addEventListener('filterchange', (event) => {
+      event.detail.settled.then(() => ScrollEffects.refresh());
     });
 
-    logoAnimation.addEventListener('complete', () => {
-      isPlaying = false;
+    apply(instance, { animate: false, updateUrl: false });
+  }
+
+  function readTags(item) {
+    return (item.dataset.tags || '').split('|').map((tag) => tag.trim()).filter(Boolean);
+  }
+
+  function collectTags(items) {
+    const tags = new Set();
+    items.forEach((item) => readTags(item).forEach((tag) => tags.add(tag)));
+    return Array.from(tags).sort((a, b) => a.localeCompare(b));
+  }
+
+  function buildBar(state) {
+    const label = state.container.dataset.filterLabel || 'projects';
+
+    const bar = document.createElement('section');
+    bar.className = 'component-pills filter-bar';
+    bar.setAttribute('aria-label', `Filter ${label}`);
+    bar.innerHTML = `
+      <div class="columns">
+        <div class="leftColumnContainer"></div>
+        <div class="rightColumnContainer">
+          <label class="filter-search">
+            <span class="sr-only">Search ${label}</span>
+            <input type="search" class="filter-search-input" placeholder="Search ${label}" autocomplete="off" />
+          </label>
+        </div>
+      </div>
+      <p class="filter-status sr-only" aria-live="polite"></p>
+      <p class="filter-empty" hidden>Nothing matches that filter.</p>
+    `;
+
+    const chipsContainer = bar.querySelector('.rightColumnContainer');
+    [null, ...state.tags].forEach((tag) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'pill filter-chip hidden-init';
+      chip.innerHTML = '<span class="pillText"></span>';
+      chip.querySelector('.pillText').textContent = tag || 'All';
+      chip.addEventListener('click', () => {
+        state.tag = tag;
+        apply(state);
+      });
+      chipsContainer.appendChild(chip);
+      state.chips.push({ chip, tag });
     });
+
+    const input = bar.querySelector('.filter-search-input');
+    input.value = state.query;
+    input.addEventListener('input', debounce(() => {
+      state.query = input.value.trim();
+      apply(state);
+    }, SEARCH_DELAY));
+
+    state.input = input;
+    state.status = bar.querySelector('.filter-status');
+    state.empty = bar.querySelector('.filter-empty');
+    state.container.insertAdjacentElement('beforebegin', bar);
   }
 
-  function initialize() {
-    lottieLogoContainer = document.getElementById('lottie-logo-container');
+  function matches(state, item) {
+    if (state.tag && !readTags(item).includes(state.tag)) return false;
+    if (!state.query) return true;
+    const haystack = `${readTags(item).join(' ')} ${item.textContent}`.toLowerCase();
+    return state.query.toLowerCase().split(/\s+/).every((word) => haystack.includes(word));
+  }
 
-    if (!lottieLogoContainer || typeof lottie === 'undefined') {
-      return;
-    }
+  function apply(state, { animate = true, updateUrl = true } = {}) {
+    // FLIP: First
+    const first = new Map();
+    state.items.forEach((item) => {
+      if (item.isConnected && !item.hidden) first.set(item, item.getBoundingClientRect());
+    });
 
-    setTimeout(() => lottieLogoContainer.classList.add('is-visible'), 100);
-    loadAnimationByTheme();
+    const visible = state.items.filter((item) => {
+      const match = matches(state, item);
+      item.hidden = !match;
+      return match;
+    });
 
-    lottieLogoContainer.addEventListener('mouseenter', () => {
-      if (isPlaying) {
+    let settle;
+    const settled = new Promise((resolve) => { settle = resolve; });
+    state.container.dispatchEvent(new CustomEvent('filterchange', {
+      bubbles: true,
+      detail: { visible, tag: state.tag, query: state.query, settled },
+    }));
+
+    state.chips.forEach(({ chip, tag }) => {
+      chip.setAttribute('aria-pressed', String(tag === state.tag));
+    });
+    state.empty.hidden = visible.length > 0;
+    state.status.textContent = `${visible.length} of ${state.items.length} shown`;
+
+    const animations = animate ? playFlip(visible, first) : [];
+    Promise.all(animations.map((a) => a.finished.catch(() => { }))).then(settle);
+    if (updateUrl) writeUrl(state);
+  }
+
+  // FLIP: Last, Invert, Play. Returns the animations it started.
+  function playFlip(visible, first) {
+    const animations = [];
+    visible.forEach((item) => {
+      const before = first.get(item);
+      if (!before) {
+        animations.push(MotionManager.animate(
+          item,
+          [
+            { opacity: 0, transform: 'scale(0.96)' },
+            { opacity: 1, transform: 'scale(1)' },
+          ],
+          { duration: 400, delay: 150, fill: 'backwards', easing: EASE }
+        ));
         return;
       }
-      isPlaying = true;
-      logoAnimation.goToAndPlay(0, true);
+
+      const after = item.getBoundingClientRect();
+      const dx = before.left - after.left;
+      const dy = before.top - after.top;
+      if (!dx && !dy) return;
+
+      animations.push(MotionManager.animate(
+        item,
+        [
+          { transform: `translate(${dx}px, ${dy}px)` },
+          { transform: 'translate(0, 0)' },
+        ],
+        { duration: 500, easing: EASE }
+      ));
     });
+    return animations;
   }
 
-  function onThemeChange() {
-    loadAnimationByTheme();
+  function writeUrl(state) {
+    const params = new URLSearchParams(window.location.search);
+    if (state.tag) params.set(TAG_PARAM, state.tag);
+    else params.delete(TAG_PARAM);
+    if (state.query) params.set(QUERY_PARAM, state.query);
+    else params.delete(QUERY_PARAM);
+
+    const search = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
   }
 
-  return {
-    initialize,
-    onThemeChange
-  };
+  function setFilter({ tag = null, query = '' } = {}) {
+    if (!instance) return;
+    instance.tag = instance.tags.includes(tag) ? tag : null;
+    instance.query = query.trim();
+    instance.input.value = instance.query;
+    apply(instance);
+  }
+
+  return { initialize, setFilter };
 })();
 
 // -----------------------------------------------------------------------------
-// 5.4 Footer Components
+// 5.8 Project Navigation
 // -----------------------------------------------------------------------------
-const ChatIconAnimator = (function () {
-  function initialize() {
-    const footerCTA = document.querySelector('.footerCTA');
-    const chatIconSVG = document.querySelector('.chatIcon svg');
+/**
+ * "Previous / Next project" cards above the footer of every project page, in
+ * the registry's order and wrapping at the ends. On touch screens a horizontal
+ * swipe across the block follows the link (left for next, right for previous).
+ */
+const ProjectNav = (function () {
+  const SWIPE_THRESHOLD = 60;
 
-    if (!footerCTA || !chatIconSVG) {
-      return;
-    }
+  function currentSlug() {
+    return window.location.pathname.split('/').filter(Boolean)[0] || '';
+  }
 
-    footerCTA.addEventListener('mouseenter', () => {
-      if (!chatIconSVG.classList.contains('is-wiggling')) {
-        chatIconSVG.classList.add('is-wiggling');
-      }
-    });
+  function createLink(project, direction) {
+    const link = document.createElement('a');
+    link.href = ProjectRegistry.urlFor(project);
+    link.rel = direction;
+    link.className = `projectNav-link projectNav-link--${direction}`;
+    link.innerHTML = `
+      <span class="projectNav-label">${direction === 'next' ? 'Next project' : 'Previous project'}</span>
+      <span class="projectNav-image">
+        <img class="thumbnailImage" loading="lazy" />
+      </span>
+      <span class="projectNav-text">
+        <span class="projectTitle"></span>
+        <span class="projectSubTitle soft"></span>
+      </span>
+    `;
+
+    const img = link.querySelector('.thumbnailImage');
+    img.src = project.thumbnail;
+    img.alt = '';
+    link.querySelector('.projectTitle').textContent = project.title;
+    link.querySelector('.projectSubTitle').textContent = project.subtitle;
+    return link;
+  }
 
-    chatIconSVG.addEventListener('animationend', () => {
-      chatIconSVG.classList.remove('is-wiggling');
+  function bindSwipe(nav, prevLink, nextLink) {
+    let start = null;
+    nav.addEventListener('pointerdown', (e) => {
+      if (e.pointerType !== 'touch') return;
+      start = { x: e.clientX, y: e.clientY };
+    });
+    nav.addEventListener('pointercancel', () => { start = null; });
+    nav.addEventListener('pointerup', (e) => {
+      if (!start) return;
+      const dx = e.clientX - start.x;
+      const dy = e.clientY - start.y;
+      start = null;
+      if (Math.abs(dx) < SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy)) return;
+      window.location.href = (dx < 0 ? nextLink : prevLink).href;
     });
   }
 
-  return { initialize };
-})();
-
-const FooterLinkManager = (function () {
+  /** Resolves once the block (if this page gets one) is in the DOM. */
   function initialize() {
-    const footerLinks = document.querySelectorAll('.component-footer a[href^="#"]');
+    const footer = document.querySelector('.component-footer');
+    if (!document.body.classList.contains('project-page') || !footer) return Promise.resolve();
+
+    return ProjectRegistry.load().then((projects) => {
+      const slug = currentSlug();
+      const index = projects.findIndex((project) => project.slug === slug);
+      if (index === -1) {
+        console.warn(`[ProjectNav] "${slug}" is not in the project manifest; no project navigation.`);
+        return;
+      }
+      if (projects.length < 2) return;
 
-    footerLinks.forEach(link => {
-      link.addEventListener('click', function (event) {
-        event.preventDefault();
+      const count = projects.length;
+      const prev = createLink(projects[(index - 1 + count) % count], 'prev');
+      const next = createLink(projects[(index + 1) % count], 'next');
 
-        const targetId = this.getAttribute('href');
-        const targetElement = document.querySelector(targetId);
+      const nav = document.createElement('nav');
+      nav.className = 'component-projectNav';
+      nav.setAttribute('aria-label', 'More case studies');
+      nav.dataset.animate = 'fade-up';
+      nav.innerHTML = '<hr class="lineSeparator" /><div class="projectNav-links"></div>';
+      nav.querySelector('.projectNav-links').append(prev, next);
 
-        if (targetElement) {
-          smoothScrollTo(targetElement, 400);
-        }
-      });
+      bindSwipe(nav, prev, next);
+      footer.insertAdjacentElement('beforebegin', nav);
     });
   }
 
@@ -1592,33 +4457,343 @@ const LayoutManager = (function () {
     if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
   }
 
-  function handleMediaQueryChange(event) {
-    const newLayout = event.matches ? 'mobile' : 'desktop';
-    if (newLayout !== STATE.layout.current) {
-      STATE.layout.current = newLayout;
-      ProjectThumbnails.refreshThumbnails();
-      if (newLayout === 'desktop') STATE.animations.bannerHeightLocked = false;
+  function handleMediaQueryChange(event) {
+    const newLayout = event.matches ? 'mobile' : 'desktop';
+    if (newLayout !== STATE.layout.current) {
+      STATE.layout.current = newLayout;
+      ProjectThumbnails.refreshThumbnails();
+      if (newLayout === 'desktop') STATE.animations.bannerHeightLocked = false;
+    }
+  }
+
+  function handleResize() {
+    const newLayout = window.innerWidth <= 768 ? 'mobile' : 'desktop';
+    if (newLayout !== STATE.layout.current) {
+      STATE.layout.current = newLayout;
+      ProjectThumbnails.refreshThumbnails();
+      if (newLayout === 'desktop') STATE.animations.bannerHeightLocked = false;
+    }
+  }
+
+  return { initialize };
+})();
+
+// -----------------------------------------------------------------------------
+// 6.3 Section Headings & Table of Contents
+// -----------------------------------------------------------------------------
+/**
+ * The `.sectionTitleText` headings of a project page, shared by the table of
+ * contents and reading progress. all() gives each heading an id generated from
+ * its text when missing, so links and saved positions stay stable across visits.
+ */
+const SectionHeadings = (function () {
+  function slugify(text) {
+    return text.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  function text(heading) {
+    return (heading.getAttribute('aria-label') || heading.textContent).replace(/\s+/g, ' ').trim();
+  }
+
+  function ensureId(heading, used) {
+    if (heading.id) {
+      used.add(heading.id);
+      return;
+    }
+    const base = `section-${slugify(text(heading)) || 'untitled'}`;
+    let id = base;
+    for (let n = 2; used.has(id) || document.getElementById(id); n++) id = `${base}-${n}`;
+    used.add(id);
+    heading.id = id;
+  }
+
+  function all() {
+    const headings = Array.from(document.querySelectorAll('.sectionTitleText'));
+    const used = new Set();
+    headings.forEach((heading) => ensureId(heading, used));
+    return headings;
+  }
+
+  // The last visible heading that has scrolled past the nav, or null above the first
+  function current() {
+    const line = getNavOffset() + 1;
+    let found = null;
+    all().forEach((heading) => {
+      if (heading.closest('[hidden]')) return;
+      if (heading.getBoundingClientRect().top <= line) found = heading;
+    });
+    return found;
+  }
+
+  function scrollTo(heading, duration = 400) {
+    smoothScrollTo(heading.closest('.component-sectionTitle') || heading, duration, getNavOffset());
+
+    // Move focus with the reader without a second, instant scroll
+    if (!heading.hasAttribute('tabindex')) heading.setAttribute('tabindex', '-1');
+    heading.focus({ preventScroll: true });
+  }
+
+  return { all, text, current, scrollTo };
+})();
+
+/**
+ * "On this page" list for project pages, built from SectionHeadings. On desktop it is a sticky left column of
+ * .pageContent; on mobile, a collapsible bottom sheet behind a "Contents"
+ * button. The section being read is marked with aria-current.
+ */
+const TableOfContents = (function () {
+  const MIN_HEADINGS = 2;
+
+  let links = [];
+  let root = null;
+  let toggle = null;
+  let observer = null;
+
+  function initialize() {
+    if (!document.body.classList.contains('project-page')) return;
+
+    const headings = SectionHeadings.all();
+    if (headings.length < MIN_HEADINGS) return;
+
+    root = document.createElement('aside');
+    root.className = 'toc';
+    root.setAttribute('aria-label', 'On this page');
+    root.innerHTML = `
+      <button type="button" class="toc-toggle" aria-expanded="false" aria-controls="toc-sheet">Contents</button>
+      <nav class="toc-sheet" id="toc-sheet" aria-label="Sections">
+        <p class="toc-title" aria-hidden="true">On this page</p>
+        <ol class="toc-list"></ol>
+      </nav>
+    `;
+
+    const list = root.querySelector('.toc-list');
+    links = headings.map((heading) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.className = 'toc-link';
+      link.href = `#${heading.id}`;
+      link.textContent = SectionHeadings.text(heading);
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        goTo(heading);
+      });
+      item.appendChild(link);
+      list.appendChild(item);
+      return { heading, link, item };
+    });
+
+    toggle = root.querySelector('.toc-toggle');
+    toggle.addEventListener('click', () => setOpen(!root.classList.contains('is-open')));
+    root.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && root.classList.contains('is-open')) {
+        setOpen(false);
+        toggle.focus();
+      }
+    });
+
+    // Sections hidden by the project filter drop out of the list
+    document.addEventListener('filterchange', syncHidden);
+
+    // Desktop lays the page out in two columns around it (see .has-toc)
+    const page = document.querySelector('.pageContent');
+    if (page) page.prepend(root);
+    else document.body.appendChild(root);
+    document.body.classList.add('has-toc');
+    syncHidden();
+    observe();
+  }
+
+  function setOpen(open) {
+    root.classList.toggle('is-open', open);
+    toggle.setAttribute('aria-expanded', String(open));
+  }
+
+  function goTo(heading) {
+    SectionHeadings.scrollTo(heading);
+    history.replaceState(null, '', `#${heading.id}`);
+    setOpen(false);
+  }
+
+  function syncHidden() {
+    links.forEach(({ heading, item }) => {
+      item.hidden = !!heading.closest('[hidden]');
+    });
+    updateCurrent();
+  }
+
+  function observe() {
+    // Any heading crossing the band under the nav can change the answer
+    observer = new IntersectionObserver(updateCurrent, {
+      rootMargin: `-${getNavOffset()}px 0px -50% 0px`,
+    });
+    links.forEach(({ heading }) => observer.observe(heading));
+  }
+
+  // Above the first heading, the first visible section counts as current
+  function updateCurrent() {
+    const heading = SectionHeadings.current();
+    const current = links.find((entry) => entry.heading === heading) ||
+      links.find(({ item }) => !item.hidden);
+
+    links.forEach((entry) => {
+      if (entry === current) entry.link.setAttribute('aria-current', 'location');
+      else entry.link.removeAttribute('aria-current');
+    });
+  }
+
+  return { initialize };
+})();
+
+// -----------------------------------------------------------------------------
+// 6.4 Reading Progress
+// -----------------------------------------------------------------------------
+/**
+ * Project pages get a thin bar showing how far through `.pageContent` the
+ * reader is. The position is remembered per case study; coming back later
+ * offers "Resume reading at <section>", which scrolls there with
+ * smoothScrollTo. Finishing the page (or 30 days passing) forgets it.
+ */
+const ReadingProgress = (function () {
+  const STORAGE_KEY = 'readingPosition';
+  const SAVE_DELAY = 500;
+  const MIN_RESUME_PROGRESS = 0.1;
+  const DONE_PROGRESS = 0.95;
+  const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+  let content = null;
+  let bar = null;
+  let prompt = null;
+  let slug = '';
+  let frame = null;
+  let scrolled = false;
+
+  function initialize() {
+    if (!document.body.classList.contains('project-page')) return;
+    content = document.querySelector('.pageContent');
+    if (!content) return;
+
+    slug = window.location.pathname.split('/').filter(Boolean)[0] || window.location.pathname;
+
+    bar = document.createElement('div');
+    bar.className = 'reading-progress';
+    bar.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(bar);
+
+    // Deep links and hash jumps say where to go; don't compete with them
+    const arrivingAtHash = !!window.location.hash || !!sessionStorage.getItem('targetHash');
+    if (!arrivingAtHash) offerResume();
+
+    // Only a visit that actually scrolled replaces what was saved before
+    const save = debounce(savePosition, SAVE_DELAY);
+    window.addEventListener('scroll', () => {
+      scrolled = true;
+      if (frame === null) frame = requestAnimationFrame(update);
+      save();
+    }, { passive: true });
+    window.addEventListener('resize', () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    });
+    window.addEventListener('pagehide', () => {
+      if (scrolled) savePosition();
+    });
+
+    update();
+  }
+
+  function progress() {
+    const top = content.getBoundingClientRect().top + window.scrollY;
+    const scrollable = content.offsetHeight - window.innerHeight;
+    if (scrollable <= 0) return 1;
+    return Math.min(1, Math.max(0, (window.scrollY - top) / scrollable));
+  }
+
+  function update() {
+    frame = null;
+    const value = progress();
+    bar.style.setProperty('--reading-progress', String(value));
+
+    // Reading on past the saved section answers the prompt
+    if (prompt) {
+      const heading = document.getElementById(prompt.dataset.heading);
+      if (heading && heading.getBoundingClientRect().top < getNavOffset()) hidePrompt();
+    }
+  }
+
+  // ----- storage -----
+
+  function readAll() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return saved && typeof saved === 'object' ? saved : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function writeAll(all) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+    } catch (e) {
+      // Storage unavailable (private mode); nothing to resume next time
     }
   }
 
-  function handleResize() {
-    const newLayout = window.innerWidth <= 768 ? 'mobile' : 'desktop';
-    if (newLayout !== STATE.layout.current) {
-      STATE.layout.current = newLayout;
-      ProjectThumbnails.refreshThumbnails();
-      if (newLayout === 'desktop') STATE.animations.bannerHeightLocked = false;
+  function savePosition() {
+    const all = readAll();
+    const value = progress();
+    const heading = SectionHeadings.current();
+
+    if (value >= DONE_PROGRESS || !heading) {
+      delete all[slug];
+    } else {
+      all[slug] = { heading: heading.id, progress: value, savedAt: Date.now() };
     }
+    writeAll(all);
+  }
 
-    STATE.animations.thumbnailPositions.clear();
-    STATE.animations.thumbnails.forEach((thumb) => {
-      if (thumb.classList.contains('fadeIn-visible')) {
-        const rect = thumb.getBoundingClientRect();
-        STATE.animations.thumbnailPositions.set(thumb, {
-          top: rect.top + window.scrollY,
-          height: rect.height,
-        });
-      }
+  // ----- resume prompt -----
+
+  function offerResume() {
+    const saved = readAll()[slug];
+    if (!saved || Date.now() - saved.savedAt > MAX_AGE_MS) return;
+    if (!(saved.progress >= MIN_RESUME_PROGRESS)) return;
+
+    const heading = SectionHeadings.all().find((h) => h.id === saved.heading);
+    if (!heading) return;
+
+    prompt = document.createElement('div');
+    prompt.className = 'resume-prompt';
+    prompt.setAttribute('role', 'status');
+    prompt.dataset.heading = heading.id;
+    prompt.innerHTML = `
+      <button type="button" class="resume-prompt-action"></button>
+      <button type="button" class="resume-prompt-close" aria-label="Dismiss">&times;</button>
+    `;
+    const action = prompt.querySelector('.resume-prompt-action');
+    action.textContent = `Resume reading at ${SectionHeadings.text(heading)}`;
+    action.addEventListener('click', () => {
+      hidePrompt();
+      SectionHeadings.scrollTo(heading, 600);
     });
+    prompt.querySelector('.resume-prompt-close').addEventListener('click', hidePrompt);
+
+    document.body.appendChild(prompt);
+    MotionManager.animate(
+      prompt,
+      [
+        { opacity: 0, transform: 'translate(-50%, 20px)' },
+        { opacity: 1, transform: 'translate(-50%, 0)' },
+      ],
+      { duration: 400, delay: 1200, fill: 'backwards', easing: 'cubic-bezier(0.25, 1, 0.5, 1)' }
+    );
+  }
+
+  function hidePrompt() {
+    if (!prompt) return;
+    const el = prompt;
+    prompt = null;
+    const fade = MotionManager.animate(el, [{ opacity: 1 }, { opacity: 0 }], { duration: 200, fill: 'forwards' });
+    fade.onfinish = () => el.remove();
   }
 
   return { initialize };
@@ -1900,6 +5075,7 @@ function attachSamePageSmoothScroll() {
       const target = document.getElementById(id) ||
         document.querySelector(`[name="${id}"]`);
       if (target) {
+        ExperienceManager.openById(id);
         smoothScrollTo(target, 400);
       }
     });
@@ -1931,10 +5107,292 @@ function handleInitialHashScroll() {
     document.querySelector(`[name="${hash}"]`);
 
   if (target) {
+    // Deep links to a role open it as well (see ExperienceManager)
+    ExperienceManager.openById(hash);
     setTimeout(() => smoothScrollTo(target, 400), 100);
   }
 }
 
+// -----------------------------------------------------------------------------
+// 7.5 Spin Component
+// -----------------------------------------------------------------------------
+/**
+ * Inertial spin for any `[data-spin]` element (generalised from the avatar):
+ * hovering or pressing ramps it up to speed and scale, releasing lets it coast
+ * to a stop. Options, all optional:
+ *
+ *   data-spin-period="20000"       ms per revolution at full speed
+ *   data-spin-ramp="600"           ms to ease toward the target speed/scale
+ *   data-spin-scale="1.1"          scale while active (data-spin-scale-mobile ≤768px)
+ *   data-spin-direction="ccw"      default clockwise
+ *   data-spin-drag                 drag to turn; release flings with the
+ *                                  pointer's angular velocity
+ *   data-spin-label="Spin"         accessible name if it has no aria-label
+ *
+ * Children marked `data-spin-part="forward|reverse"` move instead of the root,
+ * with `data-spin-scale-ratio` (share of the scale, default 1) and
+ * `data-spin-transform` (prepended, e.g. "translate(-50%, -50%)").
+ *
+ * Keyboard: Enter/Space toggles spinning, arrow keys fling. Reduced motion
+ * keeps the pressed state but doesn't rotate or scale.
+ */
+const SpinManager = (function () {
+  const DEFAULTS = {
+    period: 20000,
+    ramp: 600,
+    scale: 1.1,
+    scaleMobile: 1.2,
+  };
+  const KEY_FLING_DEG_PER_MS = 0.6;
+  const MAX_FLING_DEG_PER_MS = 2;
+
+  const instances = new Map();
+
+  function initialize() {
+    document.querySelectorAll('[data-spin]').forEach((el) => create(el));
+  }
+
+  function readNumber(el, name, fallback) {
+    const value = parseFloat(el.getAttribute(name));
+    return Number.isFinite(value) ? value : fallback;
+  }
+
+  function readParts(root) {
+    const marked = Array.from(root.querySelectorAll('[data-spin-part]'));
+    if (marked.length === 0) return [{ el: root, sign: 1, scaleRatio: 1, prefix: '' }];
+
+    return marked.map((el) => ({
+      el,
+      sign: el.dataset.spinPart === 'reverse' ? -1 : 1,
+      scaleRatio: readNumber(el, 'data-spin-scale-ratio', 1),
+      prefix: el.dataset.spinTransform || '',
+    }));
+  }
+
+  /**
+   * Set up one element. Returns its instance ({ destroy }); calling again on
+   * the same element returns the existing one.
+   */
+  function create(root) {
+    if (instances.has(root)) return instances.get(root);
+
+    const isMobile = window.innerWidth <= 768;
+    const direction = root.dataset.spinDirection === 'ccw' ? -1 : 1;
+    const config = {
+      maxSpeed: 360 / readNumber(root, 'data-spin-period', DEFAULTS.period),
+      ramp: readNumber(root, 'data-spin-ramp', DEFAULTS.ramp),
+      scaleOn: isMobile
+        ? readNumber(root, 'data-spin-scale-mobile', readNumber(root, 'data-spin-scale', DEFAULTS.scaleMobile))
+        : readNumber(root, 'data-spin-scale', DEFAULTS.scale),
+      drag: root.hasAttribute('data-spin-drag'),
+    };
+    const parts = readParts(root);
+
+    let rafId = null;
+    let lastT = 0;
+    let angle = 0;
+    let currentSpeed = 0;
+    let targetSpeed = 0;
+    let currentScale = 1;
+    let targetScale = 1;
+    let keyboardSpinning = false;
+    let drag = null; // { pointerId, lastAngle, lastT, velocity }
+    const listeners = [];
+
+    function on(target, type, handler, options) {
+      target.addEventListener(type, handler, options);
+      listeners.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    function stepToward(current, target, dt, rampMs) {
+      const k = Math.min(1, dt / rampMs);
+      return current + (target - current) * k;
+    }
+
+    function render() {
+      parts.forEach(({ el, sign, scaleRatio, prefix }) => {
+        const scale = 1 + (currentScale - 1) * scaleRatio;
+        el.style.transform = `${prefix} rotate(${sign * angle}deg) scale(${scale})`.trim();
+      });
+    }
+
+    function tick(t) {
+      if (!lastT) lastT = t;
+      const dt = t - lastT;
+      lastT = t;
+
+      if (!drag) {
+        currentSpeed = stepToward(currentSpeed, targetSpeed, dt, config.ramp);
+        angle += currentSpeed * dt;
+      }
+      currentScale = stepToward(currentScale, targetScale, dt, config.ramp);
+      render();
+
+      const settled = !drag &&
+        Math.abs(currentSpeed - targetSpeed) < 0.00001 && targetSpeed === 0 &&
+        Math.abs(currentScale - targetScale) < 0.001;
+      if (settled) {
+        currentSpeed = 0;
+        rafId = null;
+        return;
+      }
+      rafId = requestAnimationFrame(tick);
+    }
+
+    function ensureRAF() {
+      if (rafId == null) {
+        lastT = 0;
+        rafId = requestAnimationFrame(tick);
+      }
+    }
+
+    function startSpin() {
+      root.classList.add('is-pressed');
+      if (MotionManager.isReduced()) return;
+      targetSpeed = config.maxSpeed * direction;
+      targetScale = config.scaleOn;
+      ensureRAF();
+    }
+
+    function stopSpin() {
+      if (keyboardSpinning) return;
+      root.classList.remove('is-pressed');
+      targetSpeed = 0;
+      targetScale = 1;
+      ensureRAF();
+    }
+
+    function fling(degPerMs) {
+      if (MotionManager.isReduced()) return;
+      currentSpeed = Math.max(-MAX_FLING_DEG_PER_MS, Math.min(MAX_FLING_DEG_PER_MS, degPerMs));
+      ensureRAF();
+    }
+
+    // Pointer angle around the element's centre, in degrees
+    function pointerAngle(e) {
+      const rect = root.getBoundingClientRect();
+      const cx = rect.left + rect.width / 2;
+      const cy = rect.top + rect.height / 2;
+      return (Math.atan2(e.clientY - cy, e.clientX - cx) * 180) / Math.PI;
+    }
+
+    // Hover (mouse) and press (touch/pen) spin
+    on(root, 'mouseenter', startSpin);
+    on(root, 'mouseleave', stopSpin);
+
+    if (config.drag) {
+      on(root, 'pointerdown', (e) => {
+        if (MotionManager.isReduced()) return;
+        root.setPointerCapture(e.pointerId);
+        drag = { pointerId: e.pointerId, lastAngle: pointerAngle(e), lastT: e.timeStamp, velocity: 0 };
+        root.classList.add('is-dragging', 'is-pressed');
+        targetScale = config.scaleOn;
+        ensureRAF();
+      });
+      on(root, 'pointermove', (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        const next = pointerAngle(e);
+        let delta = next - drag.lastAngle;
+        if (delta > 180) delta -= 360;
+        if (delta < -180) delta += 360;
+        const dt = Math.max(e.timeStamp - drag.lastT, 1);
+        angle += delta;
+        drag.velocity = delta / dt;
+        drag.lastAngle = next;
+        drag.lastT = e.timeStamp;
+      });
+      const endDrag = (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        const { velocity } = drag;
+        drag = null;
+        root.classList.remove('is-dragging');
+        // Momentum carries on, then eases back to the hover speed (or a stop)
+        if (e.pointerType === 'mouse' && root.matches(':hover')) startSpin();
+        else stopSpin();
+        fling(velocity);
+      };
+      on(root, 'pointerup', endDrag);
+      on(root, 'pointercancel', endDrag);
+    } else {
+      on(root, 'pointerdown', (e) => {
+        if (e.pointerType !== 'mouse') startSpin();
+      });
+      on(root, 'pointerup', (e) => {
+        if (e.pointerType !== 'mouse') stopSpin();
+      });
+      on(root, 'pointercancel', stopSpin);
+      on(root, 'pointerleave', (e) => {
+        if (e.pointerType !== 'mouse') stopSpin();
+      });
+      on(root, 'touchstart', startSpin, { passive: true });
+      on(root, 'touchend', stopSpin);
+      on(root, 'touchcancel', stopSpin);
+    }
+
+    // Keyboard
+    const addedTabIndex = !root.hasAttribute('tabindex');
+    const addedRole = !root.hasAttribute('role');
+    if (addedTabIndex) root.setAttribute('tabindex', '0');
+    if (addedRole) root.setAttribute('role', 'button');
+    if (!root.hasAttribute('aria-label')) root.setAttribute('aria-label', root.dataset.spinLabel || 'Spin');
+    root.setAttribute('aria-pressed', 'false');
+
+    on(root, 'keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        keyboardSpinning = !keyboardSpinning;
+        root.setAttribute('aria-pressed', String(keyboardSpinning));
+        if (keyboardSpinning) startSpin();
+        else stopSpin();
+      } else if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+        e.preventDefault();
+        fling((e.key === 'ArrowRight' ? 1 : -1) * KEY_FLING_DEG_PER_MS);
+      }
+    });
+    on(root, 'blur', () => {
+      if (!keyboardSpinning) return;
+      keyboardSpinning = false;
+      root.setAttribute('aria-pressed', 'false');
+      stopSpin();
+    });
+
+    function destroy() {
+      if (rafId != null) cancelAnimationFrame(rafId);
+      rafId = null;
+      listeners.forEach((off) => off());
+      listeners.length = 0;
+      parts.forEach(({ el }) => { el.style.transform = ''; });
+      root.classList.remove('is-pressed', 'is-dragging');
+      root.removeAttribute('aria-pressed');
+      if (addedTabIndex) root.removeAttribute('tabindex');
+      if (addedRole) root.removeAttribute('role');
+      instances.delete(root);
+    }
+
+    const instance = { destroy };
+    instances.set(root, instance);
+    return instance;
+  }
+
+  /**
+   * Tear down one element's spin, or every instance when called without one.
+   */
+  function destroy(el) {
+    if (el) {
+      const instance = instances.get(el);
+      if (instance) instance.destroy();
+      return;
+    }
+    Array.from(instances.values()).forEach((instance) => instance.destroy());
+  }
+
+  return {
+    initialize,
+    create,
+    destroy
+  };
+})();
+
 // =============================================================================
 // 8. PAGE INITIALIZATION
 // =============================================================================
@@ -1969,7 +5427,8 @@ function revealDescriptionFirst() {
   const D_GENERIC = 400;
   const anims = [];
 
-  const a1 = section.animate(
+  const a1 = MotionManager.animate(
+    section,
     [{ opacity: 0, transform: 'translateY(80px)' }, { opacity: 1, transform: 'translateY(0)' }],
     { duration: D_GENERIC, fill: 'forwards', easing: EASE }
   );
@@ -1979,7 +5438,8 @@ function revealDescriptionFirst() {
   const lineSeparator = section.querySelector('.lineSeparator');
   if (lineSeparator) {
     anims.push(
-      lineSeparator.animate(
+      MotionManager.animate(
+        lineSeparator,
         [{ opacity: 0, transform: 'translateY(40px)' }, { opacity: 1, transform: 'translateY(0)' }],
         { duration: 400, delay: 60, fill: 'forwards', easing: EASE }
       )
@@ -1992,7 +5452,8 @@ function revealDescriptionFirst() {
     const delay = 200 + idx * 150;
     maxDelay = Math.max(maxDelay, delay);
     anims.push(
-      p.animate(
+      MotionManager.animate(
+        p,
         [{ opacity: 0, transform: 'translateY(40px)' }, { opacity: 1, transform: 'translateY(0)' }],
         { duration: 700, delay, fill: 'forwards', easing: EASE }
       )
@@ -2050,6 +5511,12 @@ function onPreloaderFinishedAndModulesReady() {
   CaretSuppressor.initialize();
   ChatIconAnimator.initialize();
   FooterLinkManager.initialize();
+  SpinManager.initialize();
+  CarouselManager.initialize();
+  LightboxManager.initialize();
+  FilterManager.initialize();
+  TableOfContents.initialize();
+  ReadingProgress.initialize();
 
   // Make page visible
   const pageContent = document.querySelector('.pageContent');
@@ -2069,126 +5536,133 @@ function onPreloaderFinishedAndModulesReady() {
   // EXECUTE ANIMATIONS BASED ON CONFIG
   // ============================================
 
-  // Header text
-  setTimeout(() => {
-    TextAnimator.initialize(ANIMATION_DELAYS.mobileSeparator);  // Pass the delay
-    SectionAnimator.initialize();
-  }, ANIMATION_DELAYS.headerText);
+  const isProjectPage = document.body.classList.contains('project-page');
+  const intro = Timeline.create();
 
-  // Rotating words
-  setTimeout(() => {
-    RotatingWordsManager.initialize();
-  }, ANIMATION_DELAYS.rotatingWords);
+  // Sections are measured up front so project pages know what is visible on load
+  SectionAnimator.initialize();
+  SplitText.initialize();
+
+  // Header text (every other step is timed from its start)
+  intro.step('header', { at: ANIMATION_DELAYS.headerText }, () => (
+    TextAnimator.initialize(ANIMATION_DELAYS.mobileSeparator)
+  ));
+
+  if (isProjectPage) {
+    addProjectIntroSteps(intro, ANIMATION_DELAYS);
+  } else {
+    addHomeIntroSteps(intro, ANIMATION_DELAYS);
+  }
+
+  intro.play();
+
+  // Reduced motion shows the finished intro straight away
+  if (MotionManager.isReduced()) intro.skip();
+  else skipIntroOnVisitorInput(intro);
+}
+
+/**
+ * Home page intro: avatar, socials, overview, banner, grid, carat and the
+ * rotating words, all timed from the header step.
+ */
+function addHomeIntroSteps(intro, delays) {
+  const fromHeader = (offset) => ({ start: 'header', offset });
 
   // Avatar
-  setTimeout(() => {
+  intro.step('avatar', fromHeader(delays.avatar), () => {
     const avatar = document.querySelector('.header-image-container');
-    if (avatar) {
-      avatar.style.opacity = '1';
-      avatar.style.transform = 'translateY(0)';
-    }
-  }, ANIMATION_DELAYS.avatar);
+    if (!avatar) return null;
+    avatar.style.opacity = '1';
+    avatar.style.transform = 'translateY(0)';
+    return avatar;
+  });
 
   // Social icons
-  setTimeout(() => {
-    const socialIcons = document.querySelectorAll('.social-icon');
-    socialIcons.forEach((icon, index) => {
-      setTimeout(() => {
-        icon.style.opacity = '1';
-        icon.style.transform = 'translateY(0)';  // Changed from translateX(0) to translateY(0)
-      }, index * ANIMATION_DELAYS.socialIconStagger);
+  document.querySelectorAll('.social-icon').forEach((icon, index) => {
+    intro.step(`social-${index}`, fromHeader(delays.socialIcons + index * delays.socialIconStagger), () => {
+      icon.style.opacity = '1';
+      icon.style.transform = 'translateY(0)';
+      return icon;
     });
-  }, ANIMATION_DELAYS.socialIcons);
+  });
 
   // Mobile separator
-  setTimeout(() => {
+  intro.step('mobileSeparator', fromHeader(delays.mobileSeparator), () => {
     const separator = document.querySelector('.mobile-only-separator');
-    if (separator) {
-      // First, ensure transition is set while element is still hidden
-      separator.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
-
-      // Force a reflow to ensure the transition is applied
-      separator.offsetHeight;
-
-      // Then change the values to trigger the animation
-      separator.style.opacity = '1';
-      separator.style.transform = 'translateY(0)';
-    }
-  }, ANIMATION_DELAYS.mobileSeparator);
+    if (!separator) return null;
+    // Set the transition while the element is still hidden, then reflow so it applies
+    separator.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
+    separator.offsetHeight;
+    separator.style.opacity = '1';
+    separator.style.transform = 'translateY(0)';
+    return separator;
+  });
 
   // Description section
-  setTimeout(() => {
-    // Only do immediate reveal on home page, not project pages
-    if (!document.body.classList.contains('project-page')) {
-      const section = document.querySelector('.component-description');
-      if (section) {
-        // Remove hidden-init if it exists
-        if (section.classList.contains('hidden-init')) {
-          section.classList.remove('hidden-init');
-        }
-        section.style.opacity = '1';
-        section.style.transform = 'translateY(0)';
-
-        // CRITICAL: Animate the descriptionText-1 container
-        const descText = section.querySelector('.descriptionText-1');
-        if (descText) {
-          descText.style.opacity = '1';
-          descText.style.transform = 'translateY(0)';
-          descText.style.transition = 'opacity 0.7s ease, transform 0.7s ease';
-        }
-
-        // Animate the line separator within description
-        const lineSeparator = section.querySelector('.lineSeparator');
-        if (lineSeparator) {
-          lineSeparator.style.opacity = '0';
-          lineSeparator.style.transform = 'translateY(40px)';
-          setTimeout(() => {
-            lineSeparator.style.opacity = '1';
-            lineSeparator.style.transform = 'translateY(0)';
-            lineSeparator.style.transition = 'opacity 0.4s ease, transform 0.4s ease';
-          }, 60);
-        }
+  const section = document.querySelector('.component-description');
+  if (section) {
+    intro.step('description', fromHeader(delays.description), () => {
+      section.classList.remove('hidden-init');
+      section.style.opacity = '1';
+      section.style.transform = 'translateY(0)';
 
-        const paragraphs = section.querySelectorAll('.paragraph-section');
-        paragraphs.forEach((p, idx) => {
-          setTimeout(() => {
-            p.style.opacity = '1';
-            p.style.transform = 'translateY(0)';
-          }, idx * ANIMATION_DELAYS.descriptionStagger);
-        });
+      // CRITICAL: Animate the descriptionText-1 container
+      const descText = section.querySelector('.descriptionText-1');
+      if (descText) {
+        descText.style.opacity = '1';
+        descText.style.transform = 'translateY(0)';
+        descText.style.transition = 'opacity 0.7s ease, transform 0.7s ease';
       }
+      return [section, descText];
+    });
+
+    const lineSeparator = section.querySelector('.lineSeparator');
+    if (lineSeparator) {
+      lineSeparator.style.opacity = '0';
+      lineSeparator.style.transform = 'translateY(40px)';
+      intro.step('descriptionSeparator', { start: 'description', offset: 60 }, () => {
+        lineSeparator.style.opacity = '1';
+        lineSeparator.style.transform = 'translateY(0)';
+        lineSeparator.style.transition = 'opacity 0.4s ease, transform 0.4s ease';
+        return lineSeparator;
+      });
     }
-  }, ANIMATION_DELAYS.description);
+
+    section.querySelectorAll('.paragraph-section').forEach((p, idx) => {
+      intro.step(`descriptionParagraph-${idx}`, { start: 'description', offset: idx * delays.descriptionStagger }, () => {
+        p.style.opacity = '1';
+        p.style.transform = 'translateY(0)';
+        return p;
+      });
+    });
+  }
 
   // Banner
-  setTimeout(() => {
-    BannerManager.reveal();
-  }, ANIMATION_DELAYS.banner);
+  intro.step('banner', fromHeader(delays.banner), () => BannerManager.reveal());
 
   // Project thumbnails and other sections
-  setTimeout(() => {
-    document.body.classList.add('app-stage-content');
-    document.body.classList.remove('projects-locked');
-    document.body.classList.add('projects-unlocked');
+  intro.step('content', fromHeader(delays.thumbnails), () => {
+    unlockContent();
 
     const hero = document.querySelector('.projectThumbnail.is-hero');
     if (hero) {
       if (!hero.classList.contains('fadeIn-visible')) hero.classList.add('fadeIn-visible');
       try {
         ProjectThumbnails.refreshThumbnails();
-        ProjectThumbnails.updateThumbnailsOnScroll();
+        ScrollEffects.update();
       } catch (e) { }
     }
 
     PillAnimator.initialize();
     ProjectThumbnails.initialize();
     ExperienceManager.initialize();
-  }, ANIMATION_DELAYS.thumbnails);
+    return hero;
+  });
 
   // Carat indicator
-  setTimeout(() => {
+  intro.step('carat', fromHeader(delays.caratIndicator), () => {
     const carat = document.querySelector('.component-banner .carat');
-    if (!carat) return;
+    if (!carat) return null;
     carat.classList.add('visible');
     carat.style.pointerEvents = 'auto';
     carat.style.cursor = 'pointer';
@@ -2199,194 +5673,254 @@ function onPreloaderFinishedAndModulesReady() {
       const navHeight = nav ? nav.offsetHeight : 0;
       const rootFontSize = parseFloat(getComputedStyle(document.documentElement).fontSize);
       const targetY = desc.getBoundingClientRect().top + window.pageYOffset - (navHeight + 2.5 * rootFontSize);
-      window.scrollTo({ top: targetY, behavior: 'smooth' });
+      window.scrollTo({ top: targetY, behavior: MotionManager.isReduced() ? 'auto' : 'smooth' });
     });
-  }, ANIMATION_DELAYS.caratIndicator);
+    return carat;
+  });
+
+  // Rotating words (its loop runs on its own once started)
+  intro.step(
+    'rotatingWords',
+    fromHeader(delays.rotatingWords),
+    () => RotatingWordsManager.initialize({ startDelay: 0 })
+  );
 }
 
 /**
- * Hide preloader and transition to main content
+ * Project page intro: sections and thumbnails that were in view on load
+ * stagger in after the header, then the rest of the page unlocks.
  */
-function hidePreloader() {
-  const preloader = document.getElementById('preloader');
-  if (!preloader) {
-    onPreloaderFinishedAndModulesReady();
-    return;
-  }
-
-  preloader.classList.add('loading--out');
-  let ended = false;
-
-  function onEnd(e) {
-    if (e.propertyName === 'opacity' && !ended) {
-      ended = true;
-      preloader.removeEventListener('transitionend', onEnd);
-      onPreloaderFinishedAndModulesReady();
-    }
-  }
+function addProjectIntroSteps(intro, delays) {
+  const SECTION_START = 200;
+  const THUMBNAIL_START = 600;
+  const STAGGER = 150;
+  const fromHeader = (offset) => ({ start: 'header', offset });
+  const { sections, thumbnails } = SectionAnimator.getVisibleOnLoad();
+
+  sections.forEach((section, i) => {
+    intro.step(`section-${i}`, fromHeader(SECTION_START + i * STAGGER), () => SectionAnimator.revealSection(section));
+  });
+  thumbnails.forEach((thumb, i) => {
+    intro.step(`thumbnail-${i}`, fromHeader(THUMBNAIL_START + i * STAGGER), () => SectionAnimator.revealThumbnail(thumb));
+  });
 
-  preloader.addEventListener('transitionend', onEnd);
+  intro.step('banner', fromHeader(delays.banner), () => BannerManager.reveal());
 
-  setTimeout(() => {
-    if (!ended) onPreloaderFinishedAndModulesReady();
-  }, 350);
+  intro.step('content', fromHeader(delays.thumbnails), () => {
+    unlockContent();
+    PillAnimator.initialize();
+    ProjectThumbnails.initialize();
+    ExperienceManager.initialize();
+  });
 }
 
-// =============================================================================
-// DOM READY & WINDOW LOAD HANDLERS
-// =============================================================================
+function unlockContent() {
+  document.body.classList.add('app-stage-content');
+  document.body.classList.remove('projects-locked');
+  document.body.classList.add('projects-unlocked');
+}
 
-document.addEventListener('DOMContentLoaded', () => {
-  document.body.classList.add('preloading', 'projects-locked');
-  ThemeManager.applyInitialThemeAndIcon();
-});
+/**
+ * Scrolling or pressing a key during the intro jumps it to its final state
+ * rather than making the visitor wait for the cascade.
+ */
+function skipIntroOnVisitorInput(intro) {
+  const INPUT_EVENTS = ['wheel', 'touchmove', 'keydown'];
+  const onInput = () => intro.skip();
 
-window.addEventListener('load', () => {
-  const preloader = document.getElementById('preloader');
-  const pageContent = document.querySelector('.pageContent');
+  INPUT_EVENTS.forEach((type) => {
+    window.addEventListener(type, onInput, { passive: true, once: true });
+  });
+  intro.finished.then(() => {
+    INPUT_EVENTS.forEach((type) => window.removeEventListener(type, onInput));
+  });
+}
 
-  if (preloader && pageContent) {
-    pageContent.style.opacity = '0';
+/**
+ * Opt-in preloader: present only when the page includes `#preloader`, and
+ * played once per browser session. It stays up until the critical assets
+ * (fonts, the banner image, the first project thumbnail) have loaded and the
+ * logo animation has finished, or until the hard timeout. If the Lottie
+ * player can't load, the static `.loading__fallback` logo is shown instead.
+ */
+const PreloaderManager = (function () {
+  const SESSION_KEY = 'preloaderPlayed';
+  const HARD_TIMEOUT_MS = 5000;
+  const FALLBACK_MIN_MS = 500;
+  const LOTTIE_SPEED = 1.3;
+  const LIGHT_MODE_PATH = 'assets/logo-light_big-lottie.json';
+  const DARK_MODE_PATH = 'assets/logo-dark_big-lottie.json';
+  const CRITICAL_IMAGES = ['.bannerImage', '.projectThumbnail img'];
+
+  function hasPlayedThisSession() {
+    try {
+      return sessionStorage.getItem(SESSION_KEY) === '1';
+    } catch (e) {
+      return false;
+    }
   }
 
-  attachSamePageSmoothScroll();
-  attachCrossPageHashSaver();
-
-  if (preloader) {
-    const lottieContainer = document.getElementById('lottie-container');
-    if (lottieContainer && typeof lottie !== 'undefined') {
-      const lightModePath = 'assets/logo-light_big-lottie.json';
-      const darkModePath = 'assets/logo-dark_big-lottie.json';
-      const isDarkMode = document.documentElement.classList.contains('dark-mode');
-
-      const lottieAnimation = lottie.loadAnimation({
-        container: lottieContainer,
-        renderer: 'canvas',
-        loop: false,
-        autoplay: true,
-        path: isDarkMode ? darkModePath : lightModePath
-      });
-
-      lottieAnimation.setSpeed(1.3);  // Set speed after loading
+  function markPlayed() {
+    try {
+      sessionStorage.setItem(SESSION_KEY, '1');
+    } catch (e) { }
+  }
 
-      lottieAnimation.addEventListener('complete', hidePreloader);
-    } else {
-      setTimeout(hidePreloader, 500);
+  /**
+   * Returns a promise that resolves when the preloader may be hidden, or null
+   * when there is no preloader to show on this page view. `contentReady`
+   * delays the critical-asset check until rendered content is in place.
+   */
+  function start(contentReady = Promise.resolve()) {
+    const preloader = document.getElementById('preloader');
+    if (!preloader) return null;
+
+    if (hasPlayedThisSession()) {
+      preloader.remove();
+      return null;
     }
-  } else {
-    onPreloaderFinishedAndModulesReady();
+    markPlayed();
+
+    const pageContent = document.querySelector('.pageContent');
+    if (pageContent) pageContent.style.opacity = '0';
+
+    // Rendered content (e.g. the project grid) has to exist before its images can be awaited
+    const assets = contentReady.then(() => waitForCriticalAssets(preloader));
+    const ready = Promise.all([playLogo(preloader), assets]);
+    let timerId;
+    const timeout = new Promise((resolve) => {
+      timerId = setTimeout(() => {
+        console.warn('[PreloaderManager] Timed out waiting for critical assets.');
+        resolve();
+      }, HARD_TIMEOUT_MS);
+    });
+    // Whichever settles first, the other shouldn't fire later
+    const settled = ready.finally(() => clearTimeout(timerId));
+    return Promise.race([settled, timeout]);
   }
-});
-
-// =============================================================================
-// IMAGE SPINNER ASSIST (mouse hover + touch press)
-// =============================================================================
-(function () {
-  const container = document.querySelector('.header-image-container');
-  if (!container) return;
 
-  const mask = container.querySelector('.avatar-mask');
-  const img = container.querySelector('.header-profile-image');
-  if (!mask || !img) return;
-
-  // Get the border element
-  const border = container.querySelector('.avatar-border');
-
-  const SPIN_PERIOD_MS = 20000;
-  const MAX_SPEED = 360 / SPIN_PERIOD_MS;
-  const RAMP_MS = 600;
-  const isMobile = window.innerWidth <= 768;
-  const SCALE_ON = isMobile ? 1.20 : 1.10; // 1.20 for mobile, 1.10 for desktop
-  const SCALE_OFF = 1.00;
-
-  let rafId = null;
-  let lastT = 0;
-  let angle = 0;
-  let currentSpeed = 0;
-  let targetSpeed = 0;
-  let currentScale = SCALE_OFF;
-  let targetScale = SCALE_OFF;
+  function playLogo(preloader) {
+    const lottieContainer = preloader.querySelector('#lottie-container');
+    const showFallback = () => {
+      const fallback = preloader.querySelector('.loading__fallback');
+      if (fallback) fallback.hidden = false;
+      return new Promise((resolve) => setTimeout(resolve, FALLBACK_MIN_MS));
+    };
+    if (!lottieContainer) return showFallback();
+
+    return loadLottiePlayer()
+      .then((player) => {
+        const isDarkMode = document.documentElement.classList.contains('dark-mode');
+        const animation = player.loadAnimation({
+          container: lottieContainer,
+          renderer: 'canvas',
+          loop: false,
+          autoplay: true,
+          path: isDarkMode ? DARK_MODE_PATH : LIGHT_MODE_PATH
+        });
+        animation.setSpeed(LOTTIE_SPEED);
 
-  function stepToward(current, target, dt, rampMs) {
-    const k = Math.min(1, dt / rampMs);
-    return current + (target - current) * k;
+        return new Promise((resolve) => {
+          animation.addEventListener('complete', resolve);
+          animation.addEventListener('data_failed', () => showFallback().then(resolve));
+        });
+      })
+      .catch((error) => {
+        console.warn('[PreloaderManager] Lottie unavailable:', error);
+        return showFallback();
+      });
   }
 
-  function tick(t) {
-    if (!lastT) lastT = t;
-    const dt = t - lastT;
-    lastT = t;
-
-    currentSpeed = stepToward(currentSpeed, targetSpeed, dt, RAMP_MS);
-    currentScale = stepToward(currentScale, targetScale, dt, RAMP_MS);
+  function waitForCriticalAssets(preloader) {
+    const waits = [];
+    if (document.fonts && document.fonts.ready) waits.push(document.fonts.ready);
+    CRITICAL_IMAGES.forEach((selector) => {
+      const img = document.querySelector(selector);
+      if (img) waits.push(whenImageLoaded(img));
+    });
 
-    angle += currentSpeed * dt;
+    let loaded = 0;
+    const report = () => {
+      preloader.style.setProperty('--preload-progress', String(waits.length ? loaded / waits.length : 1));
+    };
+    report();
 
-    // Calculate different scales - image gets much less scaling
-    const maskScale = currentScale; // Full scale for mask
-    const imageScaleAmount = (currentScale - 1) * 0.3; // Only 30% of the scale increase
-    const imageScale = 1 + imageScaleAmount; // So if mask is 1.10, image is only 1.03
+    return Promise.all(waits.map((wait) => Promise.resolve(wait).catch(() => { }).then(() => {
+      loaded++;
+      report();
+    })));
+  }
 
-    // Apply different scales
-    mask.style.transform = `rotate(${angle}deg) scale(${maskScale})`;
-    img.style.transform = `rotate(${-angle}deg) scale(${imageScale})`;
+  // Resolves on load or error; a broken image shouldn't hold the page
+  function whenImageLoaded(img) {
+    if (img.complete) return Promise.resolve();
+    return new Promise((resolve) => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    });
+  }
 
-    // Border gets full scale like the mask
-    if (border) {
-      border.style.transform = `translate(-50%, -50%) rotate(${angle}deg)`;
-    }
+  return { start };
+})();
 
-    rafId = requestAnimationFrame(tick);
+/**
+ * Hide preloader and transition to main content
+ */
+function hidePreloader() {
+  const preloader = document.getElementById('preloader');
+  if (!preloader) {
+    onPreloaderFinishedAndModulesReady();
+    return;
   }
 
-  function ensureRAF() {
-    if (rafId == null) rafId = requestAnimationFrame(tick);
+  preloader.classList.add('loading--out');
+  let ended = false;
+  let fallbackId = null;
+
+  // The fade and the fallback timer race; only the first one may start the page
+  function finish() {
+    if (ended) return;
+    ended = true;
+    preloader.removeEventListener('transitionend', onEnd);
+    clearTimeout(fallbackId);
+    onPreloaderFinishedAndModulesReady();
   }
 
-  function startSpin() {
-    container.classList.add('is-pressed');
-    targetSpeed = MAX_SPEED;
-    targetScale = SCALE_ON;
-    lastT = 0;
-    ensureRAF();
+  function onEnd(e) {
+    if (e.propertyName === 'opacity') finish();
   }
 
-  function stopSpin() {
-    container.classList.remove('is-pressed');
-    targetSpeed = 0;
-    targetScale = SCALE_OFF;
+  preloader.addEventListener('transitionend', onEnd);
+  fallbackId = setTimeout(finish, 350);
+}
 
-    const check = () => {
-      const nearZeroSpeed = Math.abs(currentSpeed) < 0.00001;
-      const nearUnitScale = Math.abs(currentScale - SCALE_OFF) < 0.001;
-      if (nearZeroSpeed && nearUnitScale) {
-        if (rafId != null) cancelAnimationFrame(rafId);
-        rafId = null;
-      } else {
-        requestAnimationFrame(check);
-      }
-    };
-    requestAnimationFrame(check);
-  }
+// =============================================================================
+// DOM READY & WINDOW LOAD HANDLERS
+// =============================================================================
 
-  container.addEventListener('mouseenter', startSpin);
-  container.addEventListener('mouseleave', stopSpin);
+let preloaderDone = null;
+let projectContentReady = Promise.resolve();
 
-  container.addEventListener('pointerdown', (e) => {
-    if (e.pointerType !== 'mouse') startSpin();
-  });
-  container.addEventListener('pointerup', (e) => {
-    if (e.pointerType !== 'mouse') stopSpin();
-  });
-  container.addEventListener('pointercancel', stopSpin);
-  container.addEventListener('pointerleave', (e) => {
-    if (e.pointerType !== 'mouse') stopSpin();
-  });
+document.addEventListener('DOMContentLoaded', () => {
+  document.body.classList.add('preloading', 'projects-locked');
+  MotionManager.initialize();
+  ThemeManager.applyInitialThemeAndIcon();
+  ThemeAssetManager.initialize();
 
-  container.addEventListener('touchstart', startSpin, { passive: true });
-  container.addEventListener('touchend', stopSpin);
-  container.addEventListener('touchcancel', stopSpin);
-})();
+  // Cards from the project manifest must be in place before anything measures them
+  projectContentReady = Promise.all([ProjectGrid.initialize(), ProjectNav.initialize()]);
+
+  // The preloader tracks its own assets, so it doesn't wait for window load
+  preloaderDone = PreloaderManager.start(projectContentReady);
+  if (preloaderDone) preloaderDone.then(() => projectContentReady).then(hidePreloader);
+});
+
+window.addEventListener('load', () => {
+  attachSamePageSmoothScroll();
+  attachCrossPageHashSaver();
+
+  if (!preloaderDone) projectContentReady.then(onPreloaderFinishedAndModulesReady);
+});
 
 // =============================================================================
 // FINAL LOG